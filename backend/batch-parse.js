@@ -1,49 +1,55 @@
-const fs = require('fs');
 const axios = require('axios');
 
 const API_URL = 'http://localhost:3001/api';
 
+// Usage: node batch-parse.js "<project name or id>" [all|never|stale] [concurrency]
+const [projectName, filter = 'never', concurrency = '2'] = process.argv.slice(2);
+
 async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 async function main() {
-    const data = JSON.parse(fs.readFileSync('../data/projects.json', 'utf8'));
-    const project = data.find(p => p.name === 'КЕ');
-    const entitiesWithoutParsings = project.entities.filter(e => !e.parsings || e.parsings.length === 0);
-
-    console.log(`\nНайдено ${entitiesWithoutParsings.length} сущностей без парсингов\n`);
-
-    for (let i = 0; i < entitiesWithoutParsings.length; i++) {
-        const entity = entitiesWithoutParsings[i];
-        console.log(`[${i + 1}/${entitiesWithoutParsings.length}] Парсинг: ${entity.name}`);
-
-        try {
-            const response = await axios.post(
-                `${API_URL}/projects/${project.id}/entities/${entity.id}/parse`,
-                { region: 'ru' },
-                { timeout: 120000 }
-            );
-
-            const metrics = response.data.engines?.yandex?.metrics || response.data.engines?.google?.metrics;
-            if (metrics) {
-                const rating = metrics.rating || ((parseFloat(metrics.balance) + 100) / 2).toFixed(1);
-                console.log(`   ✓ Оценка: ${rating} | Позитив: ${metrics.positivePercent}% | Негатив: ${metrics.negativePercent}%`);
-            } else {
-                console.log(`   ✓ Парсинг завершён`);
-            }
-        } catch (error) {
-            console.log(`   ✗ Ошибка: ${error.message}`);
-        }
-
-        // Пауза между запросами
-        if (i < entitiesWithoutParsings.length - 1) {
-            console.log(`   Пауза 3 сек...`);
-            await sleep(3000);
-        }
+    if (!projectName) {
+        console.log('Использование: node batch-parse.js "<название или id проекта>" [all|never|stale] [параллельность]');
+        process.exit(1);
+    }
+
+    const { data: projects } = await axios.get(`${API_URL}/projects?summary=true`);
+    const project = projects.find(p => p.id === projectName) || projects.find(p => p.name === projectName);
+
+    if (!project) {
+        console.error(`Проект "${projectName}" не найден`);
+        process.exit(1);
+    }
+
+    // Enqueue parsing on the server - it handles concurrency, retries and saving
+    const { data: job } = await axios.post(`${API_URL}/projects/${project.id}/parse-all`, {
+        filter,
+        concurrency: parseInt(concurrency)
+    });
+
+    console.log(`\nВ очереди ${job.total} сущностей (задание ${job.id})\n`);
+
+    let status = job;
+    const reported = new Set();
+
+    while (['running', 'paused'].includes(status.status)) {
+        await sleep(3000);
+        status = (await axios.get(`${API_URL}/parse-jobs/${job.id}`)).data;
+
+        status.items
+            .filter(item => ['completed', 'error', 'cancelled'].includes(item.status) && !reported.has(item.entityId))
+            .forEach(item => {
+                reported.add(item.entityId);
+                const mark = item.status === 'completed' ? '✓' : '✗';
+                console.log(`   ${mark} [${reported.size}/${status.total}] ${item.entityName}${item.error ? ` — ${item.error}` : ''}`);
+            });
     }
 
-    console.log(`\n✓ Готово! Обработано ${entitiesWithoutParsings.length} сущностей`);
+    console.log(`\n✓ Готово (${status.status}): успешно ${status.counts.completed}, ошибок ${status.counts.error}, отменено ${status.counts.cancelled}`);
 }
 
-main().catch(console.error);
+main().catch(error => {
+    console.error(error.response?.data?.error || error.message);
+});
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
 
 // XMLStock credentials
 const XMLSTOCK = {
@@ -249,6 +251,7 @@ async function main() {
 
     // Save detailed results to file
     const report = {
+        id: uuidv4(),
         timestamp: new Date().toISOString(),
         searchDepth: 100,
         queriesCount: QUERIES.length,
@@ -262,8 +265,8 @@ async function main() {
     fs.writeFileSync('../data/50-statey.json', JSON.stringify(report, null, 2));
     console.log('\nDetailed results saved to: data/50-statey.json');
 
-    // Also save as current bulk-search-results for web interface
-    fs.writeFileSync('../data/bulk-search-results.json', JSON.stringify(report, null, 2));
+    // Also save to bulk search history for web interface
+    storage.addBulkSearch({ ...report, queries: QUERIES, targetUrls: TARGET_URLS });
 }
 
 main().catch(console.error);
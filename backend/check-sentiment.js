@@ -0,0 +1,41 @@
+// Examples of the local sentiment analyzer that must keep working: false prefix hits, phrases, negations, title weight.
+// Run: npm run check:sentiment (exits with 1 when an example fails)
+const assert = require('assert');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+const { DEFAULT_LEXICON } = require('./sentiment-lexicon');
+
+function score(title, snippet = '') {
+    return sentimentAnalyzer.scoreMarkers(sentimentAnalyzer.findMarkers(title, snippet, DEFAULT_LEXICON).markers);
+}
+
+const checks = {
+    '"иск" does not fire on "искусство"': () => assert.strictEqual(score('Выставка современного искусства').negativeScore, 0),
+    '"суд" does not fire on "судьба"': () => assert.strictEqual(score('Судьба артиста').negativeScore, 0),
+    '"долг" does not fire on "долгожданный"': () => assert.strictEqual(score('Долгожданный релиз').negativeScore, 0),
+    '"суд" fires on "суда"': () => assert.ok(score('Решение суда по делу').negativeScore > 0),
+    '"не рекомендую" is negative': () => {
+        const { positiveScore, negativeScore } = score('Не рекомендую эту компанию');
+        assert.ok(negativeScore > 0 && positiveScore === 0);
+    },
+    '"развод на деньги" is negative': () => assert.ok(score('Развод на деньги').negativeScore > 0),
+    '"Развели на деньги" is negative': () => assert.ok(score('Развели на деньги').negativeScore > 0),
+    '"развела на деньги" is negative': () => assert.ok(score('Клиника развела на деньги').negativeScore > 0),
+    '"не мошенник" is not positive': () => assert.deepStrictEqual(score('Он не мошенник'), { positiveScore: 0, negativeScore: 0 }),
+    'a title marker weighs more than a snippet one': () => {
+        assert.ok(score('Мошенник').negativeScore > score('', 'Мошенник').negativeScore);
+    }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+    try {
+        check();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL  ${name}: ${error.message}`);
+    }
+}
+
+console.log(`\n${Object.keys(checks).length - failed}/${Object.keys(checks).length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,254 @@
+const sentimentSubject = require('./sentiment-subject');
+
+// Claude model settings and prompt templates of the sentiment analysis.
+// Settings: { model, temperature (null - API default), maxTokens (answer budget per publication), templates }.
+// Templates are plain text with {{placeholders}}; the answer format (JSON) is appended by the code,
+// so an edited template cannot break the parsing of the answers.
+//   sentiment   - task of the regular analysis (one publication or a batch), followed by the publications
+//   publication - how each publication of the regular analysis is presented
+//   deep        - the whole prompt of the deep analysis of one result
+// Global templates (config.claude.templates) are overridden by the templates of a project (project.claudeTemplates).
+
+const CLAUDE_MODELS = [
+    'claude-3-haiku-20240307',
+    'claude-3-5-haiku-latest',
+    'claude-3-5-sonnet-latest',
+    'claude-3-7-sonnet-latest',
+    'claude-sonnet-4-0',
+    'claude-opus-4-0'
+];
+
+const DEFAULT_CLAUDE_SETTINGS = {
+    model: 'claude-3-haiku-20240307',
+    temperature: null,
+    maxTokens: 200
+};
+
+const MAX_TOKENS_RANGE = [50, 4000];
+const MAX_TEMPLATE_LENGTH = 10000;
+
+// Length of the page text and comments sent to Claude (from fetched pages, see page-fetcher.js)
+const PAGE_TEXT_LIMIT = 1500;
+const PAGE_COMMENTS_LIMIT = 700;
+
+const TEMPLATE_NAMES = ['sentiment', 'publication', 'deep'];
+
+// Placeholders of every template; publication and deep templates must show the title or the snippet
+const TEMPLATE_PLACEHOLDERS = {
+    sentiment: ['subject', 'query'],
+    publication: ['title', 'snippet', 'url', 'domain', 'position', 'query', 'page'],
+    deep: ['subject', 'query', 'title', 'snippet', 'url', 'domain', 'position', 'page']
+};
+const REQUIRED_PLACEHOLDERS = { publication: ['title', 'snippet'], deep: ['title', 'snippet'] };
+
+const DEFAULT_TEMPLATES = {
+    sentiment: `Проанализируй тональность публикаций относительно репутации субъекта.
+
+{{subject}}
+
+Критерии:
+- positive: хвалебный отзыв, достижения, успехи, благодарности
+- negative: критика, скандалы, проблемы, жалобы, обман и мошенничество с его стороны
+- neutral: информационная статья без оценки, биография, факты`,
+
+    publication: `Заголовок: {{title}}
+Описание: {{snippet}}
+URL: {{url}}
+{{page}}`,
+
+    deep: `Ты эксперт по репутационному анализу (SERM). Проанализируй эту публикацию относительно репутации субъекта.
+
+{{subject}}
+
+Поисковый запрос: "{{query}}"
+
+Публикация:
+- URL: {{url}}
+- Домен: {{domain}}
+- Заголовок: {{title}}
+- Описание: {{snippet}}
+- Позиция в выдаче: {{position}}
+{{page}}
+
+Критерии оценки:
+- POSITIVE: Материал создаёт положительный образ субъекта (достижения, профессионализм, благодарности, хорошие отзывы, позитивные публикации)
+- NEGATIVE: Материал вредит репутации субъекта (критика, скандалы, разоблачения, мошенничество субъекта, негативные отзывы, компромат)
+- NEUTRAL: Информационный материал без явной оценки (биография без критики, справочная информация, нейтральные упоминания)
+
+Учитывай домен:
+- Компроматные ресурсы - как правило негативные источники
+- Официальные СМИ - зависит от контента
+- Личные сайты и соцсети - зависит от контента
+- Отзывики - зависит от содержания отзывов
+
+Влияние (impact) - насколько публикация способна изменить восприятие субъекта: high - заметный материал, который будут читать и цитировать, low - малозаметное упоминание.`
+};
+
+const SINGLE_RESPONSE_FORMAT = `Ответь СТРОГО в формате JSON:
+{
+  "sentiment": "positive" | "negative" | "neutral",
+  "confidence": 0.0-1.0,
+  "explanation": "краткое объяснение на русском (до 100 символов)"
+}
+
+Только JSON, без markdown.`;
+
+const BATCH_RESPONSE_FORMAT = `Для каждой публикации также определи relevance - о субъекте ли она:
+- about: публикация о субъекте
+- namesake: о другом человеке или компании с тем же именем
+- unrelated: субъект не упоминается
+- offtopic: субъект упомянут, но материал не о нем (справочник имен, поиск людей, списки)
+
+Ответь СТРОГО JSON-массивом, по одному объекту на каждую публикацию:
+[
+  { "id": номер публикации, "sentiment": "positive" | "negative" | "neutral", "confidence": 0.0-1.0, "relevance": "about" | "namesake" | "unrelated" | "offtopic", "explanation": "краткое объяснение на русском (до 100 символов)" }
+]
+
+Только JSON, без markdown.`;
+
+const DEEP_RESPONSE_FORMAT = `Ответь СТРОГО в формате JSON без markdown:
+{
+  "sentiment": "positive" | "negative" | "neutral",
+  "confidence": 0.0-1.0,
+  "reasoning": "краткое объяснение оценки на русском (до 150 символов)",
+  "impact": "high" | "medium" | "low",
+  "keywords": ["ключевые слова из текста, повлиявшие на оценку"]
+}`;
+
+// ============ Settings ============
+
+// Validation error of the model settings { model, temperature, maxTokens } from the API, null when valid
+function validateClaudeSettings({ model, temperature, maxTokens } = {}) {
+    if (model !== undefined && !/^claude-[a-z0-9.-]+$/.test(String(model))) {
+        return `Model must be a Claude model id, e.g. ${CLAUDE_MODELS.join(', ')}`;
+    }
+    if (temperature !== undefined && temperature !== null && temperature !== '') {
+        const value = Number(temperature);
+        if (!(value >= 0 && value <= 1)) {
+            return 'Temperature must be a number from 0 to 1 (null - API default)';
+        }
+    }
+    if (maxTokens !== undefined) {
+        const value = Number(maxTokens);
+        if (!Number.isInteger(value) || value < MAX_TOKENS_RANGE[0] || value > MAX_TOKENS_RANGE[1]) {
+            return `maxTokens must be an integer from ${MAX_TOKENS_RANGE[0]} to ${MAX_TOKENS_RANGE[1]}`;
+        }
+    }
+    return null;
+}
+
+// Validation error of templates { sentiment, publication, deep } (empty or null - default template), null when valid
+function validateTemplates(templates) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+        return `Templates must be an object: { ${TEMPLATE_NAMES.join(', ')} }`;
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+        if (!TEMPLATE_NAMES.includes(name)) {
+            return `Unknown template "${name}", templates: ${TEMPLATE_NAMES.join(', ')}`;
+        }
+        if (template === null || template === '') continue;
+        if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+            return `Template "${name}" must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`;
+        }
+
+        const unknown = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])
+            .filter(placeholder => !TEMPLATE_PLACEHOLDERS[name].includes(placeholder));
+        if (unknown.length > 0) {
+            return `Template "${name}" has unknown placeholders ${unknown.map(p => `{{${p}}}`).join(', ')}; ` +
+                `allowed: ${TEMPLATE_PLACEHOLDERS[name].map(p => `{{${p}}}`).join(', ')}`;
+        }
+
+        const required = REQUIRED_PLACEHOLDERS[name];
+        if (required && !required.some(placeholder => new RegExp(`\\{\\{\\s*${placeholder}\\s*\\}\\}`).test(template))) {
+            return `Template "${name}" must contain ${required.map(p => `{{${p}}}`).join(' or ')}`;
+        }
+    }
+    return null;
+}
+
+// Stored templates: the current ones with the changes, an empty value removes the template (back to the inherited one)
+function normalizeTemplates(templates, current = {}) {
+    const result = { ...current };
+    for (const [name, template] of Object.entries(templates)) {
+        if (template === null || template === '') {
+            delete result[name];
+        } else {
+            result[name] = template;
+        }
+    }
+    return result;
+}
+
+// Effective settings: defaults < global settings (config.claude) < project templates
+function resolveClaudeSettings(globalSettings = {}, projectTemplates = {}) {
+    const settings = { ...DEFAULT_CLAUDE_SETTINGS, ...globalSettings };
+    return {
+        model: settings.model,
+        temperature: settings.temperature ?? null,
+        maxTokens: settings.maxTokens,
+        templates: { ...DEFAULT_TEMPLATES, ...globalSettings.templates, ...projectTemplates }
+    };
+}
+
+// ============ Rendering ============
+
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function subjectText(subject) {
+    return subject
+        ? `${sentimentSubject.subjectPrompt(subject)}\n\n${sentimentSubject.SUBJECT_RULES}`
+        : 'Субъект репутации: персона или бренд, упомянутый в тексте.';
+}
+
+// Placeholder values of a publication { title, snippet, url, domain, position, pageText, pageComments }
+function publicationValues(item, query = '') {
+    const page = [];
+    if (item.pageText) page.push(`Текст страницы: ${item.pageText.substring(0, PAGE_TEXT_LIMIT)}`);
+    if (item.pageComments) page.push(`Комментарии: ${item.pageComments.substring(0, PAGE_COMMENTS_LIMIT)}`);
+
+    return {
+        title: item.title || 'Не указан',
+        snippet: item.snippet || 'Не указано',
+        url: item.url || 'Не указан',
+        domain: item.domain || 'Не указан',
+        position: item.position ?? 'Не указана',
+        query: query || 'Не указан',
+        page: page.join('\n')
+    };
+}
+
+// Prompt of the regular analysis; a batch is numbered and answered with a JSON array, else one publication with an object
+function buildSentimentPrompt(templates, items, { subject = null, query = '', batch = items.length > 1 } = {}) {
+    const task = renderTemplate(templates.sentiment, { subject: subjectText(subject), query: query || 'Не указан' });
+    const publications = items.map(item => renderTemplate(templates.publication, publicationValues(item, query)));
+
+    if (!batch) {
+        return `${task}\n\nПубликация:\n${publications[0]}\n\n${SINGLE_RESPONSE_FORMAT}`;
+    }
+    return `${task}\n\nПубликации:\n${publications.map((text, i) => `[${i + 1}]\n${text}`).join('\n\n')}\n\n${BATCH_RESPONSE_FORMAT}`;
+}
+
+// Prompt of the deep analysis of one result
+function buildDeepPrompt(templates, result, { subject = null, query = '' } = {}) {
+    const prompt = renderTemplate(templates.deep, { ...publicationValues(result, query), subject: subjectText(subject) });
+    return `${prompt}\n\n${DEEP_RESPONSE_FORMAT}`;
+}
+
+module.exports = {
+    CLAUDE_MODELS,
+    DEFAULT_CLAUDE_SETTINGS,
+    DEFAULT_TEMPLATES,
+    TEMPLATE_NAMES,
+    TEMPLATE_PLACEHOLDERS,
+    validateClaudeSettings,
+    validateTemplates,
+    normalizeTemplates,
+    resolveClaudeSettings,
+    buildSentimentPrompt,
+    buildDeepPrompt
+};
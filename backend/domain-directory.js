@@ -0,0 +1,304 @@
+// Domain reputation directory: what the analyzer knows about a site.
+// Entry: { domain, category, relation: 'owned' | 'friendly' | 'neutral' | 'hostile', bias, note }
+// bias is added to the sentiment score of every result of the domain (negative - to the negative score).
+// Global entries (storage domains) are overridden by project entries (storage project_domains) of the same domain;
+// a domain matches its subdomains ("wikipedia.org" - "ru.wikipedia.org").
+
+const DOMAIN_RELATIONS = ['owned', 'friendly', 'neutral', 'hostile'];
+
+// Bias of an entry imported or saved without one
+const RELATION_BIAS = { owned: 1, friendly: 0.5, neutral: 0, hostile: -1 };
+const MAX_BIAS = 3;
+
+// Category -> content type of its results (categories without a type are detected by URL and title)
+const DOMAIN_CATEGORIES = {
+    encyclopedia: 'biography',
+    news: null,
+    agency: null,
+    business: null,
+    tabloid: null,
+    tv: null,
+    tech: null,
+    blog: 'forum',
+    forum: 'forum',
+    social: 'social',
+    video: 'media',
+    reviews: 'review',
+    compromat: null,
+    publisher: null,
+    bookstore: null,
+    marketplace: null,
+    classifieds: null,
+    jobs: null,
+    other: null
+};
+
+// Categories of official media (state news agencies and TV channels)
+const OFFICIAL_CATEGORIES = ['agency', 'tv'];
+
+const DEFAULT_DOMAINS = [
+    // Негативно-ориентированные ресурсы
+    { domain: 'kompromatwiki.org', category: 'compromat', relation: 'hostile', bias: -2 },
+    { domain: 'compromat.ru', category: 'compromat', relation: 'hostile', bias: -2 },
+    { domain: 'rucriminal.info', category: 'compromat', relation: 'hostile', bias: -2 },
+    { domain: 'kompromat.ru', category: 'compromat', relation: 'hostile', bias: -2 },
+    { domain: 'anticompromat.org', category: 'compromat', relation: 'hostile', bias: -1 },
+    { domain: 'scandal.ru', category: 'compromat', relation: 'hostile', bias: -1 },
+
+    { domain: 'wikipedia.org', category: 'encyclopedia' },
+
+    // СМИ
+    { domain: '24smi.org', category: 'tabloid' },
+    { domain: 'kp.ru', category: 'tabloid' },
+    { domain: 'lenta.ru', category: 'news' },
+    { domain: 'rbc.ru', category: 'news' },
+    { domain: 'ria.ru', category: 'agency' },
+    { domain: 'tass.ru', category: 'agency' },
+    { domain: 'forbes.ru', category: 'business', bias: 0.5 },
+    { domain: 'vc.ru', category: 'business' },
+    { domain: 'kommersant.ru', category: 'business' },
+    { domain: 'vedomosti.ru', category: 'business' },
+    { domain: 'habr.com', category: 'tech' },
+    { domain: '5-tv.ru', category: 'tv' },
+    { domain: 'ntv.ru', category: 'tv' },
+    { domain: '1tv.ru', category: 'tv' },
+
+    // Социальные сети и видео
+    { domain: 'vk.com', category: 'social' },
+    { domain: 'instagram.com', category: 'social' },
+    { domain: 'facebook.com', category: 'social' },
+    { domain: 'tiktok.com', category: 'social' },
+    { domain: 'youtube.com', category: 'video' },
+    { domain: 'rutube.ru', category: 'video' },
+    { domain: 'dzen.ru', category: 'blog' },
+    { domain: 'pikabu.ru', category: 'forum' },
+
+    // Отзовики (могут быть как позитивные, так и негативные)
+    { domain: 'otzovik.com', category: 'reviews' },
+    { domain: 'irecommend.ru', category: 'reviews' },
+    { domain: 'flamp.ru', category: 'reviews' },
+
+    // Магазины и сервисы
+    { domain: 'eksmo.ru', category: 'publisher' },
+    { domain: 'litres.ru', category: 'bookstore' },
+    { domain: 'labirint.ru', category: 'bookstore' },
+    { domain: 'ozon.ru', category: 'marketplace' },
+    { domain: 'wildberries.ru', category: 'marketplace' },
+    { domain: 'avito.ru', category: 'classifieds' },
+    { domain: 'hh.ru', category: 'jobs' }
+].map(normalizeDomainEntry);
+
+// Host of a domain or URL without "www.", null when it is not a host name
+function normalizeDomain(value) {
+    let host = String(value || '').trim().toLowerCase();
+    if (host.includes('/')) {
+        try {
+            host = new URL(host.includes('://') ? host : `http://${host}`).hostname;
+        } catch {
+            return null;
+        }
+    }
+    host = host.replace(/^www\./, '').replace(/\.$/, '');
+    return /^([a-z0-9а-яё-]+\.)+[a-zа-яё0-9-]{2,}$/.test(host) ? host : null;
+}
+
+// Validation error of a directory entry from the API, null when valid
+function validateDomainEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return 'Domain entry must be an object: { domain, category, relation, bias, note }';
+    }
+    if (!normalizeDomain(entry.domain)) {
+        return 'Domain must be a host name, e.g. "example.ru"';
+    }
+    if (entry.category && !Object.prototype.hasOwnProperty.call(DOMAIN_CATEGORIES, entry.category)) {
+        return `Category must be one of: ${Object.keys(DOMAIN_CATEGORIES).join(', ')}`;
+    }
+    if (entry.relation && !DOMAIN_RELATIONS.includes(entry.relation)) {
+        return `Relation must be one of: ${DOMAIN_RELATIONS.join(', ')}`;
+    }
+    if (entry.bias !== undefined && entry.bias !== null && entry.bias !== '') {
+        const bias = Number(entry.bias);
+        if (!(Math.abs(bias) <= MAX_BIAS)) {
+            return `Bias must be a number from -${MAX_BIAS} to ${MAX_BIAS}`;
+        }
+    }
+    return null;
+}
+
+// Entry for storage; missing category is "other", missing relation is neutral, missing bias comes from the relation
+function normalizeDomainEntry(entry) {
+    const relation = entry.relation || 'neutral';
+    const hasBias = entry.bias !== undefined && entry.bias !== null && entry.bias !== '';
+    return {
+        domain: normalizeDomain(entry.domain),
+        category: entry.category || 'other',
+        relation,
+        bias: hasBias ? Number(entry.bias) : RELATION_BIAS[relation],
+        note: String(entry.note || '').trim() || undefined
+    };
+}
+
+// Directory used by the analyzer: Map of domain -> entry, project entries replace global ones
+function buildDirectory(globalEntries = [], projectEntries = []) {
+    const directory = new Map(globalEntries.map(entry => [entry.domain, entry]));
+    for (const entry of projectEntries) {
+        directory.set(entry.domain, { ...entry, project: true });
+    }
+    return directory;
+}
+
+// Entry of a domain or of its closest parent domain, null for unknown domains
+function findDomain(directory, domain) {
+    const host = normalizeDomain(domain);
+    if (!directory || !host) return null;
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const entry = directory.get(labels.slice(i).join('.'));
+        if (entry) return entry;
+    }
+    return null;
+}
+
+// Content type implied by the domain category, null when it has to be detected from the URL and title
+function getCategoryContentType(entry) {
+    return entry ? DOMAIN_CATEGORIES[entry.category] || null : null;
+}
+
+function isOfficialDomain(entry) {
+    return !!entry && OFFICIAL_CATEGORIES.includes(entry.category);
+}
+
+// ============ Import ============
+
+// Column names of CSV imports (lowercase), including the columns of data/negative-platforms.csv
+const CSV_COLUMNS = {
+    domain: ['domain', 'домен', 'сайт'],
+    url: ['url', 'ссылка'],
+    category: ['category', 'категория'],
+    relation: ['relation', 'отношение'],
+    bias: ['bias', 'вес'],
+    note: ['note', 'comment', 'заметка', 'комментарий']
+};
+
+// Rows of a CSV text (quoted fields with "" escapes, "," or ";" delimiter detected from the header)
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function csvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS)
+        .map(([field, aliases]) => [field, names.findIndex(name => aliases.includes(name))]));
+
+    return rows.map(row => Object.fromEntries(Object.entries(columns)
+        .filter(([, index]) => index >= 0 && row[index] !== undefined && row[index].trim() !== '')
+        .map(([field, index]) => [field, row[index].trim()])));
+}
+
+// Negative platform record (data/negative-platforms.json): { domain, urls, queries, minPosition, comments }
+function isNegativePlatform(record) {
+    return Array.isArray(record.urls) || Array.isArray(record.queries) || record.minPosition !== undefined;
+}
+
+function negativePlatformNote(record) {
+    const parts = [];
+    if (record.minPosition) parts.push(`лучшая позиция ${record.minPosition}`);
+    if (record.queries?.length) parts.push(`запросов: ${record.queries.length}`);
+    if (record.comments?.length) parts.push(record.comments[0]);
+    return parts.join(', ');
+}
+
+// Entries of an import: JSON array (directory entries or negative platforms) or CSV text.
+// relation - relation of records without one (negative platforms are hostile).
+// Returns { entries, errors: [{ row, error }] }; a domain repeated in the import is taken once
+function parseDomainImport(content, format, relation = 'neutral') {
+    let records;
+    if (format === 'csv') {
+        records = csvRecords(String(content || ''));
+    } else {
+        records = typeof content === 'string' ? JSON.parse(content) : content;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON import must be an array of domain entries');
+        }
+    }
+
+    const entries = new Map();
+    const errors = [];
+
+    records.forEach((record, index) => {
+        const negativePlatform = format !== 'csv' && record && isNegativePlatform(record);
+        const candidate = {
+            domain: record?.domain || record?.url || (negativePlatform ? record.urls?.[0] : undefined),
+            category: record?.category,
+            relation: record?.relation || (negativePlatform ? 'hostile' : relation),
+            bias: record?.bias,
+            note: negativePlatform ? negativePlatformNote(record) : record?.note
+        };
+
+        const error = validateDomainEntry(candidate);
+        if (error) {
+            errors.push({ row: index + 1, error });
+            return;
+        }
+
+        const entry = normalizeDomainEntry(candidate);
+        if (!entries.has(entry.domain)) entries.set(entry.domain, entry);
+    });
+
+    return { entries: [...entries.values()], errors };
+}
+
+module.exports = {
+    DOMAIN_RELATIONS,
+    DOMAIN_CATEGORIES,
+    DEFAULT_DOMAINS,
+    normalizeDomain,
+    validateDomainEntry,
+    normalizeDomainEntry,
+    buildDirectory,
+    findDomain,
+    getCategoryContentType,
+    isOfficialDomain,
+    parseDomainImport
+};
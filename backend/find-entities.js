@@ -1,6 +1,19 @@
-const fs = require('fs');
-const data = JSON.parse(fs.readFileSync('../data/projects.json', 'utf8'));
-const project = data.find(p => p.name === 'КЕ');
+const storage = require('./storage');
+
+// Usage: node find-entities.js "<project name or id>"
+const [projectName] = process.argv.slice(2);
+if (!projectName) {
+    console.log('Использование: node find-entities.js "<название или id проекта>"');
+    process.exit(1);
+}
+
+const projects = storage.listProjects();
+const summary = projects.find(p => p.id === projectName) || projects.find(p => p.name === projectName);
+if (!summary) {
+    console.error(`Проект "${projectName}" не найден`);
+    process.exit(1);
+}
+const project = storage.getProject(summary.id, { withResults: false });
 const entitiesWithoutParsings = project.entities.filter(e => !e.parsings || e.parsings.length === 0);
 console.log('Сущности без парсингов:');
 entitiesWithoutParsings.forEach(e => {
@@ -0,0 +1,305 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// Optional fetch stage of the sentiment analysis: downloads the page of a SERP result and extracts
+// the main article text and the comments, so the analyzers see more than the title and the snippet.
+// Pages disallowed by robots.txt, HTTP errors, timeouts, oversized and non-HTML responses are reported in the status.
+
+const DEFAULT_PAGE_FETCH_SETTINGS = {
+    enabled: false,
+    timeoutMs: 10000,           // Per page request
+    maxBytes: 2 * 1024 * 1024,  // Larger responses are aborted
+    concurrency: 4,             // Pages downloaded at the same time
+    respectRobots: true,
+    excerptLength: 2000         // Characters of the article text and of the comments kept with the result
+};
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SERM-Monitor/1.0; +reputation monitoring)';
+const ROBOTS_AGENT = 'serm-monitor';
+const ROBOTS_TIMEOUT = 5000;
+const ROBOTS_CACHE_TTL = 60 * 60 * 1000;
+// Redirects are followed by hand, so robots.txt is checked for every location
+const MAX_REDIRECTS = 5;
+
+// Fetch statuses: ok, robots (disallowed by robots.txt), http_error, timeout, too_large, not_html, empty (no text found), error
+const PAGE_FETCH_STATUSES = ['ok', 'robots', 'http_error', 'timeout', 'too_large', 'not_html', 'empty', 'error'];
+
+// ============ robots.txt ============
+
+// origin -> { rules, expiresAt }, rules: [{ allow, path }] of the group for our agent (or "*")
+const robotsCache = new Map();
+
+// Rules of the most specific user-agent group: ours when present, else "*"
+function parseRobots(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+
+        if (group && (field === 'allow' || field === 'disallow') && value) {
+            group.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+
+    // Whole product token only ("serm-monitor" or "serm-monitor/1.0"), so short agents like "m" don't match
+    const own = groups.find(g => g.agents.some(agent => agent.split('/')[0].trim() === ROBOTS_AGENT));
+    const any = groups.find(g => g.agents.includes('*'));
+    return (own || any)?.rules || [];
+}
+
+// Rule path with * and $ wildcards as a regular expression
+function robotsPattern(rulePath) {
+    const anchored = rulePath.endsWith('$');
+    const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule wins, Allow wins a tie; no matching rule - allowed
+function isPathAllowed(rules, pathWithQuery) {
+    let best = null;
+    for (const rule of rules) {
+        if (!robotsPattern(rule.path).test(pathWithQuery)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+// robots.txt rules of an origin; a missing or unreachable robots.txt allows everything
+async function getRobotsRules(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+    let rules = [];
+    try {
+        const response = await axios.get(`${origin}/robots.txt`, {
+            timeout: ROBOTS_TIMEOUT,
+            maxContentLength: 512 * 1024,
+            responseType: 'text',
+            headers: { 'User-Agent': USER_AGENT },
+            validateStatus: () => true
+        });
+        if (response.status === 200 && typeof response.data === 'string') {
+            rules = parseRobots(response.data);
+        }
+    } catch {
+        // Unreachable robots.txt does not forbid fetching
+    }
+
+    robotsCache.set(origin, { rules, expiresAt: Date.now() + ROBOTS_CACHE_TTL });
+    return rules;
+}
+
+// ============ Content extraction ============
+
+// Comment blocks; only the outermost match is taken, then removed from the article
+const COMMENT_SELECTOR = [
+    '#comments', '.comments', '.comment-list', '.comments-list', '[id^="comment"]', '[class*="comment"]',
+    '[itemprop="comment"]', '[itemprop="review"]', '.review', '.reviews'
+].join(', ');
+
+const NOISE_SELECTOR = 'script, style, noscript, iframe, svg, template, form, nav, header, footer, aside, ' +
+    '[role="navigation"], [role="banner"], [role="contentinfo"], .menu, .sidebar, .breadcrumbs, .share, .social';
+
+const ARTICLE_SELECTOR = 'article, [itemprop="articleBody"], main, [role="main"], .post-content, .entry-content, ' +
+    '.article-body, .article, .post, #content, .content';
+
+const CONTAINER_TAGS = ['html', 'body', 'main', 'article'];
+
+const BLOCK_SELECTOR = 'p, div, li, dt, dd, h1, h2, h3, h4, h5, h6, td, th, section, article, blockquote';
+
+// Shorter article candidates are ignored in favor of the whole body
+const MIN_ARTICLE_LENGTH = 200;
+
+function cleanText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Main text and comments of an HTML page: { text, comments }
+function extractPageContent(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, iframe, svg, template').remove();
+    // Block elements are separated by a space, otherwise words of adjacent paragraphs stick together
+    $(BLOCK_SELECTOR).append(' ');
+    $('br').replaceWith(' ');
+
+    // Page containers with a "comment" class (e.g. "comments-open") are not comment blocks
+    const commentBlocks = $(COMMENT_SELECTOR).filter((_, element) => !CONTAINER_TAGS.includes(element.tagName));
+    const comments = [];
+    commentBlocks.each((_, element) => {
+        if ($(element).parents(COMMENT_SELECTOR).filter((_, parent) => !CONTAINER_TAGS.includes(parent.tagName)).length > 0) return;
+        const text = cleanText($(element).text());
+        if (text) comments.push(text);
+    });
+    commentBlocks.remove();
+    $(NOISE_SELECTOR).remove();
+
+    let text = '';
+    $(ARTICLE_SELECTOR).each((_, element) => {
+        const candidate = cleanText($(element).text());
+        if (candidate.length > text.length) text = candidate;
+    });
+    if (text.length < MIN_ARTICLE_LENGTH) {
+        text = cleanText($('body').text()) || text;
+    }
+
+    return { text, comments: comments.join(' | ') };
+}
+
+// Charset from the Content-Type header or the <meta> of the page, utf-8 by default
+function decodeBody(buffer, contentType) {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const charset = (/charset=["']?([\w-]+)/i.exec(contentType || '') || /<meta[^>]+charset=["']?([\w-]+)/i.exec(head))?.[1];
+
+    try {
+        return new TextDecoder(charset ? charset.toLowerCase() : 'utf-8').decode(buffer);
+    } catch {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+// ============ Fetching ============
+
+// Page URL (relative to base for redirect locations), only http and https
+function parsePageUrl(url, base = undefined) {
+    const target = new URL(url, base);
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error(`Unsupported protocol ${target.protocol}`);
+    return target;
+}
+
+// One request without following redirects, any HTTP status is a response
+function requestPage(target, settings) {
+    return axios.get(target.href, {
+        timeout: settings.timeoutMs,
+        maxContentLength: settings.maxBytes,
+        maxRedirects: 0,
+        responseType: 'arraybuffer',
+        headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml',
+            'Accept-Language': 'ru-RU,ru;q=0.9,en;q=0.5'
+        },
+        validateStatus: () => true
+    });
+}
+
+// Fetch and extract one page: { pageFetch: { status, httpStatus, fetchedAt, error, textLength, commentsLength }, pageText, pageComments }
+async function fetchPage(url, settings = DEFAULT_PAGE_FETCH_SETTINGS) {
+    const pageFetch = { status: 'error', httpStatus: null, fetchedAt: new Date().toISOString() };
+    const done = (status, extra = {}) => ({ pageFetch: { ...pageFetch, status, ...extra } });
+
+    let target;
+    try {
+        target = parsePageUrl(url);
+    } catch (error) {
+        return done('error', { error: error.message });
+    }
+
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        if (settings.respectRobots) {
+            const rules = await getRobotsRules(target.origin);
+            if (!isPathAllowed(rules, `${target.pathname}${target.search}`)) {
+                return done('robots', { error: 'Disallowed by robots.txt' });
+            }
+        }
+
+        try {
+            response = await requestPage(target, settings);
+        } catch (error) {
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                return done('timeout', { error: `No response in ${settings.timeoutMs} ms` });
+            }
+            if (/maxContentLength/.test(error.message)) {
+                return done('too_large', { error: `Page is larger than ${settings.maxBytes} bytes` });
+            }
+            return done('error', { error: error.message });
+        }
+
+        const location = response.status >= 300 && response.status < 400 && response.headers.location;
+        if (!location) break;
+
+        if (redirects >= MAX_REDIRECTS) {
+            return done('http_error', { httpStatus: response.status, error: `More than ${MAX_REDIRECTS} redirects` });
+        }
+        try {
+            target = parsePageUrl(location, target);
+        } catch (error) {
+            return done('error', { httpStatus: response.status, error: `Redirect to ${location}: ${error.message}` });
+        }
+    }
+
+    if (response.status >= 400) {
+        return done('http_error', { httpStatus: response.status, error: `HTTP ${response.status}` });
+    }
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/html|xml/i.test(contentType)) {
+        return done('not_html', { httpStatus: response.status, error: contentType.split(';')[0] });
+    }
+
+    const { text, comments } = extractPageContent(decodeBody(Buffer.from(response.data), contentType));
+    if (!text && !comments) {
+        return done('empty', { httpStatus: response.status });
+    }
+
+    return {
+        pageFetch: { ...pageFetch, status: 'ok', httpStatus: response.status, textLength: text.length, commentsLength: comments.length },
+        pageText: text.substring(0, settings.excerptLength),
+        pageComments: comments.substring(0, settings.excerptLength) || undefined
+    };
+}
+
+// Fetch pages of results with bounded concurrency, keeping the order; returns the results with page fields
+async function fetchPages(results, settings = DEFAULT_PAGE_FETCH_SETTINGS, onProgress = null) {
+    const fetched = new Array(results.length).fill(null);
+    let next = 0;
+    let processed = 0;
+
+    const worker = async () => {
+        while (next < results.length) {
+            const index = next++;
+            const { pageFetch, pageText, pageComments } = results[index].url
+                ? await fetchPage(results[index].url, settings)
+                : { pageFetch: { status: 'error', error: 'No URL' } };
+
+            fetched[index] = { ...results[index], pageFetch, pageText, pageComments };
+            processed++;
+            if (onProgress) onProgress(processed / results.length, `Загрузка страниц ${processed}/${results.length}...`);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(settings.concurrency, results.length) }, worker));
+    return fetched;
+}
+
+module.exports = {
+    DEFAULT_PAGE_FETCH_SETTINGS,
+    PAGE_FETCH_STATUSES,
+    parseRobots,
+    isPathAllowed,
+    extractPageContent,
+    fetchPage,
+    fetchPages
+};
@@ -0,0 +1,176 @@
+const { stem } = require('./russian-stemmer');
+
+// Relevance of a SERP result to the reputation subject (sentiment-subject.js):
+//   about     - the result is about the subject
+//   namesake  - about another person or company with the same name
+//   unrelated - the subject is not mentioned
+//   offtopic  - the subject is mentioned, but the page is not about it (name directories, people search, lists)
+// Local rules look for the subject names and keywords in the title, the snippet and the fetched page text;
+// Claude returns its own verdict together with the sentiment, a manual verdict overrides both.
+// Rules run only for a configured subject: the entity query used as the fallback subject is not a name to look for.
+// Irrelevant results stay in the results but weigh less in the rating (RELEVANCE_WEIGHTS, see calculateMetrics).
+
+const RELEVANCES = ['about', 'namesake', 'unrelated', 'offtopic'];
+
+// Share of the result CTR counted in the rating
+const RELEVANCE_WEIGHTS = { about: 1, offtopic: 0.5, namesake: 0, unrelated: 0 };
+
+// Verdicts of the rules less confident than this are guesses: they only down-weight a result, never exclude it
+const UNSURE_CONFIDENCE = 0.6;
+const UNSURE_WEIGHT = 0.5;
+
+// Name words shorter than this match only as a whole word ("КЕ", "ВТБ" are not stemmed)
+const SHORT_NAME_WORD = 4;
+
+// Inflection endings added to a whole name word: "Петров" - "Петровым"
+const MAX_NAME_ENDING = 3;
+
+// Suffixes that make another name of a name word: "Иван" - "Иванов", "Иванова", "Петр" - "Петров"
+const NAME_DERIVATION = /^(ов|ев|ин|ын)/;
+
+// Cyrillic text words in latin letters, to find latin names ("Sber") in russian text
+const LATIN = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k',
+    'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h',
+    'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+// Pages about a name rather than about a person: meaning of names, genealogy, people search and lists of namesakes
+const OFFTOPIC_PATTERNS = [
+    /значени[еяю] (имени|фамилии)/,
+    /происхождени[ея] (имени|фамилии)/,
+    /однофамил/,
+    /(поиск|найти) (людей|человека)/,
+    /(люди|пользователи|страницы|профили) с (именем|фамилией)/,
+    /телефонн\w* справочник/,
+    /генеалог/,
+    /родословн/
+];
+
+// Words of a text: lower case, "ё" as "е"
+function textWords(text) {
+    return String(text || '').toLowerCase().replace(/ё/g, 'е').split(/[^а-яa-z0-9]+/).filter(Boolean);
+}
+
+function toLatin(word) {
+    return [...word].map(char => LATIN[char] ?? char).join('');
+}
+
+// Words of a text with their Snowball stems and latin spelling
+function indexWords(text) {
+    return textWords(text).map(word => {
+        const wordStem = stem(word);
+        return { word, stem: wordStem, latin: toLatin(word), latinStem: toLatin(wordStem) };
+    });
+}
+
+// A text word is the name word or its inflected form, but not a name derived from it ("Ивана", not "Иванова")
+function matchesNameWord(token, nameWord) {
+    if (/^[a-z0-9]+$/.test(nameWord) && !/^[a-z0-9]+$/.test(token.word)) {
+        return token.latin === nameWord || (nameWord.length >= SHORT_NAME_WORD && token.latinStem === nameWord);
+    }
+    if (token.word === nameWord) return true;
+    if (nameWord.length < SHORT_NAME_WORD) return false;
+
+    const [shorter, longer] = token.word.length < nameWord.length ? [token.word, nameWord] : [nameWord, token.word];
+    if (longer.startsWith(shorter)) {
+        const ending = longer.slice(shorter.length);
+        if (NAME_DERIVATION.test(ending)) return false;
+        // Surnames keep the whole name before the ending, which the stemmer cuts differently: "Петров" - "Петрова"
+        if (longer === token.word && ending.length <= MAX_NAME_ENDING) return true;
+    }
+
+    return token.stem === stem(nameWord);
+}
+
+// Share of the name words found in the text: 1 - the whole name, 0 - none of its words
+function nameCoverage(name, words) {
+    // Initials ("И. Петров") say nothing about the name
+    const nameWords = textWords(name).filter(word => word.length > 1);
+    if (nameWords.length === 0) return 0;
+    return nameWords.filter(nameWord => words.some(token => matchesNameWord(token, nameWord))).length / nameWords.length;
+}
+
+// Keywords found in the text, a keyword of several words matches when all of them are present
+function findKeywords(keywords, words) {
+    return (keywords || []).filter(keyword => nameCoverage(keyword, words) === 1);
+}
+
+// Verdict of the local rules: { relevance, confidence, comment }
+// result - { title, snippet, url, pageText, pageComments, domainRelation }
+function detectRelevance(result, subject) {
+    if (result.domainRelation === 'owned') {
+        return { relevance: 'about', confidence: 0.9, comment: 'Собственный ресурс' };
+    }
+
+    const heading = `${result.title || ''} ${result.snippet || ''}`.toLowerCase().replace(/ё/g, 'е');
+    const words = indexWords(`${heading} ${result.pageText || ''} ${result.pageComments || ''}`);
+    const names = [subject.name, ...(subject.aliases || [])];
+    const coverage = Math.max(...names.map(name => nameCoverage(name, words)));
+
+    if (coverage === 0) {
+        // Transliterated names in the URL (/ivan-petrov) are not checked, so without the page text the verdict is unsure
+        return { relevance: 'unrelated', confidence: result.pageText ? 0.7 : 0.5, comment: `${subject.name} не упоминается` };
+    }
+
+    if (OFFTOPIC_PATTERNS.some(pattern => pattern.test(heading))) {
+        return { relevance: 'offtopic', confidence: 0.7, comment: 'Справочник имен или поиск людей' };
+    }
+
+    const keywords = findKeywords(subject.keywords, words);
+    const namesakeKeywords = findKeywords(subject.namesakeKeywords, words);
+
+    if (namesakeKeywords.length > 0 && keywords.length === 0) {
+        return { relevance: 'namesake', confidence: 0.7, comment: `Признаки однофамильца: ${namesakeKeywords.slice(0, 3).join(', ')}` };
+    }
+    if (keywords.length > 0) {
+        return { relevance: 'about', confidence: 0.8, comment: `Признаки субъекта: ${keywords.slice(0, 3).join(', ')}` };
+    }
+    if (subject.keywords?.length && coverage < 1) {
+        return { relevance: 'namesake', confidence: 0.4, comment: 'Имя упомянуто не полностью, признаков субъекта нет' };
+    }
+
+    return { relevance: 'about', confidence: coverage === 1 ? 0.6 : 0.4, comment: `Упоминается ${subject.name}` };
+}
+
+// Results with the verdict of the local rules; manual verdicts are kept,
+// without a configured subject (none or the entity query, see resolveSubject) nothing is detected
+function applyRelevanceRules(results, subject) {
+    if (!subject?.name || subject.fromQuery) return results;
+
+    return results.map(result => {
+        if (result.relevanceSource === 'manual') return result;
+
+        const { relevance, confidence, comment } = detectRelevance(result, subject);
+        return { ...result, relevance, relevanceConfidence: confidence, relevanceComment: comment, relevanceSource: 'rules' };
+    });
+}
+
+// Manual verdicts of the previous results of the same search, matched by URL: a rebuilt parsing keeps them
+function keepManualRelevance(results, previousResults) {
+    const manual = new Map((previousResults || []).filter(r => r.relevanceSource === 'manual' && r.url).map(r => [r.url, r]));
+
+    return results.map(result => {
+        const previous = manual.get(result.url);
+        if (!previous) return result;
+        return { ...result, relevance: previous.relevance, relevanceSource: 'manual', relevanceComment: previous.relevanceComment };
+    });
+}
+
+// Weight of a result in the rating by its relevance, results without a verdict count fully
+function relevanceWeight(result) {
+    const weight = RELEVANCE_WEIGHTS[result.relevance] ?? 1;
+    if (result.relevanceSource === 'rules' && result.relevanceConfidence < UNSURE_CONFIDENCE) {
+        return Math.max(weight, UNSURE_WEIGHT);
+    }
+    return weight;
+}
+
+module.exports = {
+    RELEVANCES,
+    RELEVANCE_WEIGHTS,
+    detectRelevance,
+    applyRelevanceRules,
+    keepManualRelevance,
+    relevanceWeight
+};
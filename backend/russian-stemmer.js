@@ -0,0 +1,124 @@
+// Snowball stemmer for Russian (https://snowballstem.org/algorithms/russian/stemmer.html).
+// Used by the local sentiment analyzer to match inflected forms: "суда", "суду", "судом" -> "суд", but "судьба" -> "судьб".
+
+const VOWELS = 'аеиоуыэюя';
+
+// Endings of the first group are removed only after "а" or "я"
+const PERFECTIVE_GERUND = { group1: ['вшись', 'вши', 'в'], group2: ['ившись', 'ывшись', 'ивши', 'ывши', 'ив', 'ыв'] };
+const ADJECTIVE = ['ими', 'ыми', 'его', 'ого', 'ему', 'ому', 'ее', 'ие', 'ые', 'ое', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+    'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'];
+const PARTICIPLE = { group1: ['ем', 'нн', 'вш', 'ющ', 'щ'], group2: ['ивш', 'ывш', 'ующ'] };
+const REFLEXIVE = ['ся', 'сь'];
+const VERB = {
+    group1: ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'],
+    group2: ['ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен', 'ило', 'ыло', 'ено',
+        'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю']
+};
+const NOUN = ['иями', 'ями', 'ами', 'ией', 'иям', 'ием', 'иях', 'ев', 'ов', 'ие', 'ье', 'еи', 'ии', 'ей', 'ой', 'ий', 'ям', 'ем',
+    'ам', 'ом', 'ах', 'ях', 'ию', 'ью', 'ия', 'ья', 'а', 'е', 'и', 'й', 'о', 'у', 'ы', 'ь', 'ю', 'я'];
+const SUPERLATIVE = ['ейше', 'ейш'];
+const DERIVATIONAL = ['ость', 'ост'];
+
+const byLength = list => [...list].sort((a, b) => b.length - a.length);
+const SORTED = {
+    gerund1: byLength(PERFECTIVE_GERUND.group1),
+    gerund2: byLength(PERFECTIVE_GERUND.group2),
+    adjective: byLength(ADJECTIVE),
+    participle1: byLength(PARTICIPLE.group1),
+    participle2: byLength(PARTICIPLE.group2),
+    verb1: byLength(VERB.group1),
+    verb2: byLength(VERB.group2),
+    noun: byLength(NOUN)
+};
+
+function isVowel(char) {
+    return VOWELS.includes(char);
+}
+
+// Start of the region after the first non-vowel following a vowel, searched from position start
+function regionAfter(word, start) {
+    for (let i = start + 1; i < word.length; i++) {
+        if (!isVowel(word[i]) && isVowel(word[i - 1])) return i + 1;
+    }
+    return word.length;
+}
+
+// Longest ending of the list inside the region starting at rv, null when none;
+// afterAYa - the ending must follow "а" or "я" that is also inside the region
+function findEnding(word, rv, endings, afterAYa = false) {
+    for (const ending of endings) {
+        const start = word.length - ending.length;
+        if (start < rv || !word.endsWith(ending)) continue;
+        if (afterAYa && !(start - 1 >= rv && (word[start - 1] === 'а' || word[start - 1] === 'я'))) continue;
+        return ending;
+    }
+    return null;
+}
+
+// Remove the longest ending of either group, returns the shortened word or null when nothing was removed
+function removeGrouped(word, rv, group1, group2) {
+    const ending1 = findEnding(word, rv, group1, true);
+    const ending2 = findEnding(word, rv, group2);
+    const ending = [ending1, ending2].filter(Boolean).sort((a, b) => b.length - a.length)[0];
+    return ending ? word.slice(0, -ending.length) : null;
+}
+
+function removeAdjectival(word, rv) {
+    const adjective = findEnding(word, rv, SORTED.adjective);
+    if (!adjective) return null;
+
+    const stem = word.slice(0, -adjective.length);
+    return removeGrouped(stem, rv, SORTED.participle1, SORTED.participle2) ?? stem;
+}
+
+function stem(word) {
+    word = String(word || '').toLowerCase().replace(/ё/g, 'е');
+    if (!/^[а-я]+$/.test(word)) return word;
+
+    const firstVowel = [...word].findIndex(isVowel);
+    if (firstVowel < 0) return word;
+    const rv = firstVowel + 1;
+    const r2 = regionAfter(word, regionAfter(word, 0));
+
+    // Step 1
+    let result = removeGrouped(word, rv, SORTED.gerund1, SORTED.gerund2);
+    if (result === null) {
+        const reflexive = findEnding(word, rv, REFLEXIVE);
+        result = reflexive ? word.slice(0, -reflexive.length) : word;
+
+        result = removeAdjectival(result, rv)
+            ?? removeGrouped(result, rv, SORTED.verb1, SORTED.verb2)
+            ?? (() => {
+                const noun = findEnding(result, rv, SORTED.noun);
+                return noun ? result.slice(0, -noun.length) : result;
+            })();
+    }
+
+    // Step 2
+    if (result.length > rv && result.endsWith('и')) {
+        result = result.slice(0, -1);
+    }
+
+    // Step 3
+    const derivational = findEnding(result, Math.max(rv, r2), DERIVATIONAL);
+    if (derivational) {
+        result = result.slice(0, -derivational.length);
+    }
+
+    // Step 4
+    if (result.endsWith('нн') && result.length - 2 >= rv) {
+        result = result.slice(0, -1);
+    } else {
+        const superlative = findEnding(result, rv, SUPERLATIVE);
+        if (superlative) {
+            result = result.slice(0, -superlative.length);
+            if (result.endsWith('нн') && result.length - 2 >= rv) result = result.slice(0, -1);
+        } else if (result.endsWith('ь') && result.length - 1 >= rv) {
+            result = result.slice(0, -1);
+        }
+    }
+
+    return result;
+}
+
+module.exports = { stem };
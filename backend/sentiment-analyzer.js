@@ -0,0 +1,169 @@
+const { stem: stemWord } = require('./russian-stemmer');
+
+// Local sentiment analyzer: finds the words and phrases of a lexicon (sentimentLexicon.buildLexicon) in a title and snippet.
+// Works offline: words are compared by Snowball stems (russian-stemmer.js), negations are looked up
+// in the same clause only, and markers of the title weigh more than those of the snippet.
+// A negated marker does not count: "не мошенник" is a denial of an accusation, not praise.
+
+// Volume of the analyzed text: title, snippet and the fetched page text with comments
+const TEXT_LIMIT = 6000;
+const WORDS_LIMIT = 1000;
+
+const TITLE_WEIGHT = 1.5;
+// Words before a marker in which a negation is looked up
+const NEGATION_WINDOW = 2;
+// Words allowed between two words of a phrase ("не вернули мне деньги")
+const PHRASE_GAP = 1;
+// Shorter phrase words match only as a whole word or stem ("на", "не")
+const PHRASE_PREFIX_MIN_LENGTH = 4;
+
+// Punctuation ending a clause: a negation does not reach over it
+const TOKEN_PATTERN = /[а-яa-z0-9]+|[.!?;:,()«»"…—–|\n]+|\s-\s/g;
+
+// Words of the text { word, stem, part: 'title' | 'text', clause } in reading order
+function tokenize(title, snippet) {
+    const tokens = [];
+    let clause = 0;
+    let length = 0;
+
+    for (const [part, text] of [['title', title], ['text', snippet]]) {
+        const source = String(text || '').toLowerCase().replace(/ё/g, 'е').substring(0, TEXT_LIMIT - length);
+        length += source.length;
+
+        for (const [match] of source.matchAll(TOKEN_PATTERN)) {
+            if (/^[а-яa-z0-9]/.test(match)) {
+                tokens.push({ word: match, stem: stemWord(match), part, clause });
+            } else {
+                clause++;
+            }
+        }
+        // The title and the snippet are separate clauses
+        clause++;
+    }
+
+    return tokens.slice(0, WORDS_LIMIT);
+}
+
+function matchesPatterns(word, patterns) {
+    return patterns.exact.has(word) || patterns.prefixes.some(prefix => word.startsWith(prefix));
+}
+
+// Single-word key of a word: same word, same stem, or the longest key the word starts with
+function findWordKey(token, words) {
+    return words.exact.get(token.word)
+        || words.stems.get(token.stem)
+        || words.prefixes.find(key => token.word.startsWith(key.stem))
+        || null;
+}
+
+function matchesPhraseWord(token, phrase, index) {
+    const word = phrase.tokens[index];
+    if (word.length < 3) return token.word === word;
+    return token.word === word || token.stem === word || token.stem === phrase.tokenStems[index]
+        || (word.length >= PHRASE_PREFIX_MIN_LENGTH && token.word.startsWith(word));
+}
+
+// Indexes of the phrase words starting at token start, null when the phrase does not continue there
+function matchPhrase(tokens, consumed, phrase, start) {
+    if (consumed[start] || !matchesPhraseWord(tokens[start], phrase, 0)) return null;
+
+    const indexes = [start];
+    for (let i = 1; i < phrase.tokens.length; i++) {
+        const previous = indexes[indexes.length - 1];
+        let next = -1;
+        for (let j = previous + 1; j <= previous + 1 + PHRASE_GAP && j < tokens.length; j++) {
+            if (tokens[j].clause !== tokens[start].clause || consumed[j]) break;
+            if (matchesPhraseWord(tokens[j], phrase, i)) {
+                next = j;
+                break;
+            }
+        }
+        if (next < 0) return null;
+        indexes.push(next);
+    }
+    return indexes;
+}
+
+// A negation among the words before the marker in the same clause; negations inside phrases do not count
+function isNegated(tokens, consumed, index, lexicon) {
+    for (let i = index - 1; i >= Math.max(0, index - NEGATION_WINDOW); i--) {
+        if (tokens[i].clause !== tokens[index].clause) return false;
+        if (!consumed[i] && matchesPatterns(tokens[i].word, lexicon.negations)) return true;
+    }
+    return false;
+}
+
+function createMarker(key, tokens, first, last, negated) {
+    const inTitle = tokens[first].part === 'title';
+    return {
+        word: tokens.slice(first, last + 1).map(token => token.word).join(' '),
+        stem: key.stem,
+        polarity: key.polarity,
+        weight: key.weight,
+        negated,
+        project: key.project,
+        phrase: key.tokens.length > 1,
+        inTitle,
+        score: negated ? 0 : key.weight * (inTitle ? TITLE_WEIGHT : 1)
+    };
+}
+
+// Markers of the text in reading order:
+// { word, stem, polarity, weight, negated, project, phrase, inTitle, score } - score is 0 when negated
+function findMarkers(title, snippet, lexicon) {
+    const tokens = tokenize(title, snippet);
+    const consumed = new Array(tokens.length).fill(false);
+    const found = [];
+
+    // Phrases first: their words are not matched again as single words
+    for (const phrase of lexicon.phrases) {
+        for (let start = 0; start < tokens.length; start++) {
+            const indexes = matchPhrase(tokens, consumed, phrase, start);
+            if (!indexes) continue;
+
+            indexes.forEach(i => { consumed[i] = true; });
+            const negated = !matchesPatterns(tokens[start].word, lexicon.negations) && isNegated(tokens, consumed, start, lexicon);
+            found.push({ index: start, marker: createMarker(phrase, tokens, start, indexes[indexes.length - 1], negated) });
+        }
+    }
+
+    tokens.forEach((token, i) => {
+        if (consumed[i] || matchesPatterns(token.word, lexicon.exclusions)) return;
+        const key = findWordKey(token, lexicon.words);
+        if (!key) return;
+
+        found.push({ index: i, marker: createMarker(key, tokens, i, i, isNegated(tokens, consumed, i, lexicon)) });
+    });
+
+    return {
+        tokens,
+        markers: found.sort((a, b) => a.index - b.index).map(item => item.marker)
+    };
+}
+
+// Polarity a marker counts for, null for a negated marker
+function markerPolarity(marker) {
+    return marker.negated ? null : marker.polarity;
+}
+
+function scoreMarkers(markers) {
+    let positiveScore = 0;
+    let negativeScore = 0;
+    for (const marker of markers) {
+        const polarity = markerPolarity(marker);
+        if (polarity === 'positive') {
+            positiveScore += marker.score;
+        } else if (polarity === 'negative') {
+            negativeScore += marker.score;
+        }
+    }
+    return { positiveScore, negativeScore };
+}
+
+module.exports = {
+    TITLE_WEIGHT,
+    tokenize,
+    findMarkers,
+    markerPolarity,
+    scoreMarkers
+};
@@ -0,0 +1,94 @@
+// Accuracy of the sentiment analyzers against the manual labels of a project (storage.listLabeledResults).
+// A report compares predictions { sentiment, confidence, comment } with the labels: accuracy, confusion matrix
+// (actual -> predicted), precision and recall of every class and the worst errors - positive and negative confused
+// with each other first, then the errors the analyzer was most confident about.
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const WORST_LIMIT = 10;
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function emptyConfusion() {
+    return Object.fromEntries(SENTIMENTS.map(actual => [actual, Object.fromEntries(SENTIMENTS.map(predicted => [predicted, 0]))]));
+}
+
+// 0 - correct, 1 - confused with neutral, 2 - positive and negative confused
+function errorSeverity(actual, predicted) {
+    if (actual === predicted) return 0;
+    return actual === 'neutral' || predicted === 'neutral' ? 1 : 2;
+}
+
+// items - labeled results, predictions - by the order of items, null for results the analyzer did not rate;
+// a prediction outside SENTIMENTS (a malformed analyzer answer) counts as not rated
+function evaluatePredictions(items, predictions, { worstLimit = WORST_LIMIT } = {}) {
+    const confusion = emptyConfusion();
+    const errors = [];
+    let rated = 0;
+    let correct = 0;
+
+    items.forEach((item, i) => {
+        const prediction = predictions[i];
+        const actual = item.label.sentiment;
+        if (!SENTIMENTS.includes(prediction?.sentiment) || !SENTIMENTS.includes(actual)) return;
+
+        rated++;
+        confusion[actual][prediction.sentiment]++;
+        const severity = errorSeverity(actual, prediction.sentiment);
+        if (severity === 0) {
+            correct++;
+            return;
+        }
+
+        errors.push({
+            url: item.url,
+            title: item.title,
+            domain: item.domain,
+            entityName: item.entityName,
+            actual,
+            predicted: prediction.sentiment,
+            confidence: prediction.confidence ?? null,
+            comment: prediction.comment || '',
+            severity
+        });
+    });
+
+    const classes = Object.fromEntries(SENTIMENTS.map(sentiment => {
+        const truePositive = confusion[sentiment][sentiment];
+        const support = SENTIMENTS.reduce((sum, predicted) => sum + confusion[sentiment][predicted], 0);
+        const predictedTotal = SENTIMENTS.reduce((sum, actual) => sum + confusion[actual][sentiment], 0);
+        return [sentiment, {
+            support,
+            precision: predictedTotal > 0 ? round(truePositive / predictedTotal) : null,
+            recall: support > 0 ? round(truePositive / support) : null
+        }];
+    }));
+
+    errors.sort((a, b) => b.severity - a.severity || (b.confidence ?? 0) - (a.confidence ?? 0));
+
+    return {
+        total: items.length,
+        rated,
+        correct,
+        accuracy: rated > 0 ? round(correct / rated) : null,
+        confusion,
+        classes,
+        errors: errors.length,
+        worst: errors.slice(0, worstLimit)
+    };
+}
+
+// Label counts of a dataset { positive, negative, neutral }
+function countLabels(items) {
+    const counts = Object.fromEntries(SENTIMENTS.map(sentiment => [sentiment, 0]));
+    for (const item of items) {
+        if (SENTIMENTS.includes(item.label.sentiment)) counts[item.label.sentiment]++;
+    }
+    return counts;
+}
+
+module.exports = {
+    evaluatePredictions,
+    countLabels
+};
@@ -0,0 +1,235 @@
+const { stem: stemWord } = require('./russian-stemmer');
+
+// Lexicon of the local sentiment analyzer: weighted words and phrases, negation words and exclusions.
+// The default lexicon is extended per project (storage lexicon_entries): an entry with the stem of a default word
+// overrides it, kind 'ignore' switches a default word off and excludes the words starting with it.
+// Entry: { stem, kind: 'positive' | 'negative' | 'negation' | 'ignore', weight, note }
+// stem of a positive or negative entry may be a phrase of up to 4 words ("не рекоменд").
+// Matching (sentiment-analyzer.js): a word matches a key with the same Snowball stem (russian-stemmer.js),
+// keys of 5+ letters also match as a word prefix; words of FALSE_HITS never match a single-word key.
+
+const LEXICON_KINDS = ['positive', 'negative', 'negation', 'ignore'];
+const MAX_WEIGHT = 5;
+const MAX_PHRASE_WORDS = 4;
+
+// Keys shorter than this match only by stem: "суд" - "суда", "судом", but not "судьба"
+const PREFIX_MIN_LENGTH = 5;
+// Shorter stems of a key are too ambiguous ("болен" and "более" are both "бол")
+const STEM_MIN_LENGTH = 4;
+
+const SENTIMENT_WORDS = {
+    positive: {
+        // Сильно позитивные (вес 3)
+        'выдающийся': 3, 'великолепный': 3, 'блестящий': 3, 'гениальный': 3,
+        'легендарный': 3, 'феноменальный': 3, 'триумф': 3, 'прорыв': 3,
+
+        // Умеренно позитивные (вес 2)
+        'успех': 2, 'успешн': 2, 'победа': 2, 'победител': 2, 'талант': 2,
+        'достижение': 2, 'награда': 2, 'награжден': 2, 'признание': 2,
+        'звезда': 2, 'профессионал': 2, 'эксперт': 2, 'мастер': 2,
+        'лидер': 2, 'рекорд': 2, 'лауреат': 2, 'чемпион': 2,
+
+        // Слабо позитивные (вес 1)
+        'хороший': 1, 'хорош': 1, 'отличн': 1, 'прекрасн': 1, 'замечательн': 1,
+        'популярн': 1, 'известн': 1, 'любим': 1, 'уважаем': 1, 'почетн': 1,
+        'красив': 1, 'интересн': 1, 'полезн': 1, 'качествен': 1,
+        'рекомендуем': 1, 'рекомендую': 1, 'советую': 1, 'нравится': 1,
+        'радость': 1, 'счастье': 1, 'счастлив': 1, 'позитив': 1,
+        'вдохновля': 1, 'восхища': 1, 'впечатля': 1, 'благодарн': 1, 'спасибо': 1
+    },
+    negative: {
+        // Сильно негативные (вес 3)
+        'мошенник': 3, 'мошенничество': 3, 'афера': 3, 'аферист': 3,
+        'преступник': 3, 'преступлен': 3, 'арест': 3, 'арестован': 3,
+        'тюрьма': 3, 'заключен': 3, 'убийство': 3, 'убийца': 3,
+        'насилие': 3, 'насильник': 3, 'педофил': 3, 'изнасилов': 3,
+        'наркотик': 3, 'наркоман': 3, 'коррупц': 3, 'взятк': 3,
+        'разоблач': 3, 'компромат': 3, 'лохотрон': 3,
+
+        // Умеренно негативные (вес 2)
+        'скандал': 2, 'провал': 2, 'банкрот': 2, 'банкротств': 2,
+        'обман': 2, 'обманул': 2, 'ложь': 2, 'лжи': 2, 'лжец': 2, 'врет': 2,
+        'воровств': 2, 'украл': 2, 'кража': 2, 'хищение': 2,
+        'обвинен': 2, 'обвиня': 2, 'подозрева': 2, 'подозрение': 2,
+        'суд': 2, 'судим': 2, 'штраф': 2, 'иск': 2,
+        'увольн': 2, 'уволен': 2, 'отставк': 2,
+        'трагедия': 2, 'трагическ': 2, 'гибель': 2, 'смерть': 2,
+        'жертв': 2, 'катастроф': 2, 'авария': 2,
+
+        // Слабо негативные (вес 1)
+        'критик': 1, 'критику': 1, 'негатив': 1, 'проблем': 1,
+        'конфликт': 1, 'спор': 1, 'ссора': 1, 'скандальн': 1,
+        'жалоб': 1, 'претензи': 1, 'недовольн': 1, 'возмущен': 1,
+        'плох': 1, 'ужасн': 1, 'кошмар': 1, 'отвратительн': 1,
+        'разочаров': 1, 'неудач': 1, 'провальн': 1, 'ошибк': 1,
+        'кризис': 1, 'долг': 1, 'задолжен': 1,
+        'развод': 1, 'измен': 1, 'неверн': 1,
+        'алкогол': 1, 'пьян': 1, 'пьянств': 1, 'запой': 1,
+        'болезн': 1, 'болен': 1, 'диагноз': 1
+    }
+};
+
+// Фразы: слова фразы сравниваются по основе или началу и могут разделяться одним словом
+// ("не вернули мне деньги"); слова фразы не учитываются как отдельные маркеры
+const SENTIMENT_PHRASES = {
+    positive: {
+        'рекоменд всем': 2, 'огромн спасиб': 2, 'больш спасиб': 2, 'выража благодарн': 2,
+        'лучш специалист': 2, 'золот медал': 2, 'на высот': 1
+    },
+    negative: {
+        'развод на деньг': 3, 'развел на деньг': 3, 'развест на деньг': 3, 'не вернул деньг': 3, 'деньг не вернул': 3, 'уголовн дел': 3, 'возбужд дел': 3, 'дел возбужд': 3,
+        'финансов пирамид': 3, 'отзыв лиценз': 3, 'лишен лиценз': 3, 'заключ под страж': 3,
+        'не рекоменд': 2, 'не совет': 2, 'не выплат': 2, 'вернуть деньг': 2, 'черн спис': 2,
+        'не работа': 1, 'не отвеча': 1
+    }
+};
+
+// Слова-отрицания (5+ букв - по началу слова: "отсутствие", "отсутствуют")
+const NEGATION_WORDS = ['не', 'нет', 'без', 'ни', 'никак', 'никогда', 'нигде', 'никто', 'ничто', 'ничего', 'отсутств'];
+
+// Ложные совпадения с ключами словаря: слово целиком или начало слова со "*"
+const FALSE_HITS = {
+    'долг': ['долго', 'долгий', 'долгая', 'долгое', 'долгие', 'долгих', 'долгим', 'долгими', 'долгой', 'долгую', 'долгого', 'долгому',
+        'долгожда*', 'долгосроч*', 'долговечн*', 'долголет*', 'долгостро*'],
+    'измен': ['изменени*', 'изменит*', 'изменя*', 'измени', 'изменим', 'изменил*', 'изменен*', 'изменчив*'],
+    'заключен': ['заключени*'],
+    'жертв': ['жертвова*', 'жертвуе*', 'жертвую*', 'жертвенн*'],
+    'критик': ['критико*'],
+    'звезда': ['звездочк*'],
+    'мастер': ['мастерск*'],
+    'развод': ['разводн*']
+};
+
+// Validation error of a lexicon entry from the API, null when valid
+function validateLexiconEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return 'Lexicon entry must be an object: { stem, kind, weight }';
+    }
+    if (!LEXICON_KINDS.includes(entry.kind)) {
+        return `Kind must be one of: ${LEXICON_KINDS.join(', ')}`;
+    }
+    const words = String(entry.stem || '').trim().split(/\s+/);
+    if (!words.every(word => /^[а-яёa-z0-9]{1,40}$/i.test(word)) || words.join('').length < 2) {
+        return 'Stem must be a word of 2-40 letters or digits';
+    }
+    if (words.length > 1 && !(entry.kind === 'positive' || entry.kind === 'negative')) {
+        return 'Only positive and negative entries may be phrases';
+    }
+    if (words.length > MAX_PHRASE_WORDS) {
+        return `A phrase may have at most ${MAX_PHRASE_WORDS} words`;
+    }
+    if (entry.kind === 'positive' || entry.kind === 'negative') {
+        const weight = Number(entry.weight);
+        if (!(weight > 0 && weight <= MAX_WEIGHT)) {
+            return `Weight must be a number from 0 to ${MAX_WEIGHT}`;
+        }
+    }
+    return null;
+}
+
+function normalizeLexiconEntry(entry) {
+    const scored = entry.kind === 'positive' || entry.kind === 'negative';
+    return {
+        stem: String(entry.stem).trim().toLowerCase().replace(/ё/g, 'е').split(/\s+/).join(' '),
+        kind: entry.kind,
+        weight: scored ? Number(entry.weight) : 0,
+        note: String(entry.note || '').trim() || undefined
+    };
+}
+
+// Default meaning of a stem { kind, weight }, null for words the default lexicon does not know
+function getDefaultEntry(stem) {
+    for (const kind of ['positive', 'negative']) {
+        for (const words of [SENTIMENT_WORDS[kind], SENTIMENT_PHRASES[kind]]) {
+            if (Object.prototype.hasOwnProperty.call(words, stem)) {
+                return { kind, weight: words[stem] };
+            }
+        }
+    }
+    return NEGATION_WORDS.includes(stem) ? { kind: 'negation', weight: 0 } : null;
+}
+
+// Word pattern "word" or "prefix*" as { exact: Set, prefixes: [] }
+function compilePatterns(patterns) {
+    const compiled = { exact: new Set(), prefixes: [] };
+    for (const pattern of patterns) {
+        if (pattern.endsWith('*')) {
+            compiled.prefixes.push(pattern.slice(0, -1));
+        } else {
+            compiled.exact.add(pattern);
+        }
+    }
+    return compiled;
+}
+
+// Single-word keys as lookup tables: { exact: Map, stems: Map, prefixes: [] } of word or stem -> key entry;
+// prefixes are sorted longest first, earlier keys (project ones) win a collision
+function compileWords(keys) {
+    const words = { exact: new Map(), stems: new Map(), prefixes: [] };
+    const add = (map, value, key) => {
+        if (!map.has(value)) map.set(value, key);
+    };
+
+    for (const key of keys) {
+        const keyStem = stemWord(key.stem);
+        add(words.exact, key.stem, key);
+        add(words.stems, key.stem, key);
+        if (keyStem === key.stem || keyStem.length >= STEM_MIN_LENGTH) add(words.stems, keyStem, key);
+        if (key.stem.length >= PREFIX_MIN_LENGTH) words.prefixes.push(key);
+    }
+    words.prefixes.sort((a, b) => b.stem.length - a.stem.length);
+    return words;
+}
+
+// Lexicon used by the analyzer (sentiment-analyzer.js):
+// { words, phrases: [{ stem, tokens, tokenStems, polarity, weight, project }], negations, exclusions, projectStems }
+function buildLexicon(entries = []) {
+    const projectStems = new Set(entries.map(entry => entry.stem));
+    const keys = [];
+    const addKeys = (words, polarity, project) => {
+        for (const [stem, weight] of Object.entries(words)) {
+            if (!project && projectStems.has(stem)) continue;
+            const tokens = stem.split(' ');
+            keys.push({ stem, polarity, weight, project, tokens, tokenStems: tokens.map(stemWord) });
+        }
+    };
+
+    // Project keys go first: they win over default keys matching the same word
+    for (const polarity of ['positive', 'negative']) {
+        addKeys(Object.fromEntries(entries.filter(entry => entry.kind === polarity).map(entry => [entry.stem, entry.weight])), polarity, true);
+    }
+    for (const polarity of ['positive', 'negative']) {
+        addKeys(SENTIMENT_WORDS[polarity], polarity, false);
+        addKeys(SENTIMENT_PHRASES[polarity], polarity, false);
+    }
+
+    const ignored = entries.filter(entry => entry.kind === 'ignore').map(entry => `${entry.stem}*`);
+    const negations = [
+        ...entries.filter(entry => entry.kind === 'negation').map(entry => entry.stem),
+        ...NEGATION_WORDS.filter(word => !projectStems.has(word))
+    ];
+
+    return {
+        words: compileWords(keys.filter(key => key.tokens.length === 1)),
+        // Longer phrases are matched first
+        phrases: keys.filter(key => key.tokens.length > 1).sort((a, b) => b.tokens.length - a.tokens.length),
+        negations: compilePatterns(negations.map(word => word.length >= PREFIX_MIN_LENGTH ? `${word}*` : word)),
+        exclusions: compilePatterns([...Object.values(FALSE_HITS).flat(), ...ignored]),
+        projectStems
+    };
+}
+
+const DEFAULT_LEXICON = buildLexicon();
+
+module.exports = {
+    SENTIMENT_WORDS,
+    SENTIMENT_PHRASES,
+    NEGATION_WORDS,
+    FALSE_HITS,
+    LEXICON_KINDS,
+    DEFAULT_LEXICON,
+    validateLexiconEntry,
+    normalizeLexiconEntry,
+    getDefaultEntry,
+    buildLexicon
+};
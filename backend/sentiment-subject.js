@@ -0,0 +1,97 @@
+// Reputation subject: the person or brand whose reputation the sentiment is evaluated for
+// { name, aliases: [], description, keywords: [], namesakeKeywords: [] } - stored on the project (default for its entities)
+// and on an entity (override). keywords confirm that a text is about the subject (company, city, occupation),
+// namesakeKeywords point to other people or companies with the same name (see result-relevance.js).
+// Without a subject the entity query is used as the subject name.
+
+const MAX_ALIASES = 20;
+const MAX_KEYWORDS = 30;
+const LIST_FIELDS = ['aliases', 'keywords', 'namesakeKeywords'];
+
+// Validation error of a subject from the API, null when valid (null/empty subject clears it)
+function validateSubject(subject) {
+    if (subject === null || subject === '') return null;
+    if (typeof subject !== 'object' || Array.isArray(subject)) {
+        return 'Subject must be an object: { name, aliases, description, keywords, namesakeKeywords }';
+    }
+    for (const field of LIST_FIELDS) {
+        if (subject[field] !== undefined && !Array.isArray(subject[field]) && typeof subject[field] !== 'string') {
+            return `Subject ${field} must be an array or a comma-separated string`;
+        }
+    }
+    if (!String(subject.name || '').trim()) {
+        return 'Subject name is required';
+    }
+    return null;
+}
+
+function normalizeList(value, limit, exclude = null) {
+    const items = typeof value === 'string' ? value.split(',') : value || [];
+    return [...new Set(items.map(item => String(item).trim()).filter(item => item && item !== exclude))].slice(0, limit);
+}
+
+// Trimmed subject for storage, null clears it
+function normalizeSubject(subject) {
+    if (!subject) return null;
+
+    const name = String(subject.name).trim();
+
+    return {
+        name,
+        aliases: normalizeList(subject.aliases, MAX_ALIASES, name),
+        description: String(subject.description || '').trim(),
+        keywords: normalizeList(subject.keywords, MAX_KEYWORDS),
+        namesakeKeywords: normalizeList(subject.namesakeKeywords, MAX_KEYWORDS)
+    };
+}
+
+// Subject of an entity: its own, the project default or the entity query (fromQuery - not configured by the user)
+function resolveSubject(project, entity) {
+    if (entity?.subject?.name) return entity.subject;
+    if (project?.subject?.name) return project.subject;
+    return { name: entity?.name || '', aliases: [], description: '', fromQuery: true };
+}
+
+// Word stems of the subject names for matching inflected Russian forms ("Ивановой", "Сбера")
+function subjectStems(subject) {
+    if (!subject?.name) return [];
+
+    const words = [subject.name, ...(subject.aliases || [])]
+        .flatMap(name => name.toLowerCase().replace(/ё/g, 'е').split(/[^а-яa-z0-9]+/i))
+        .filter(word => word.length >= 3);
+
+    return [...new Set(words.map(word => word.length > 5 ? word.slice(0, -2) : word))];
+}
+
+// Subject description for Claude prompts
+function subjectPrompt(subject) {
+    const lines = [`Субъект репутации: "${subject.name}"`];
+    if (subject.aliases?.length) {
+        lines.push(`Также упоминается как: ${subject.aliases.map(a => `"${a}"`).join(', ')}`);
+    }
+    if (subject.description) {
+        lines.push(`Кто это: ${subject.description}`);
+    }
+    if (subject.keywords?.length) {
+        lines.push(`Признаки субъекта: ${subject.keywords.join(', ')}`);
+    }
+    if (subject.namesakeKeywords?.length) {
+        lines.push(`Признаки однофамильцев (это не субъект): ${subject.namesakeKeywords.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+// Rules of subject-oriented evaluation shared by all Claude prompts
+const SUBJECT_RULES = `Оценивай тональность ИМЕННО по отношению к репутации субъекта, а не общий тон текста:
+- если субъект пострадал (жертва мошенников, клеветы, кражи, от его имени действуют мошенники), материал не негативен для субъекта;
+- если негатив относится к другим людям или компаниям, а субъект лишь упомянут, оценивай только то, что сказано о субъекте;
+- если материал не о субъекте (однофамилец, другая компания с похожим названием), ставь neutral.`;
+
+module.exports = {
+    validateSubject,
+    normalizeSubject,
+    resolveSubject,
+    subjectStems,
+    subjectPrompt,
+    SUBJECT_RULES
+};
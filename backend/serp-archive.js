@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Archive of raw SERP provider responses: <archiveDir>/<YYYY-MM>/<archive id>/<page>.xml
+// The index of archived searches (cache key, date, completeness) is stored in SQLite, see storage.js.
+// Archived searches are reused as a cache for identical searches within the TTL and to rebuild parsings.
+
+// Cache key of a search: same provider, engine, query, region parameters, device and depth give the same SERP.
+// region - the resolved region ({ code, yandexLr, googleLocation, ... }), so editing its parameters changes the key;
+// the display name does not affect the search
+function cacheKey({ provider, engine, query, region, device, depth }) {
+    const regionParams = Object.keys(region).filter(key => key !== 'name').sort().map(key => [key, region[key]]);
+    const normalized = JSON.stringify([provider, engine, query.toLowerCase().trim(), regionParams, device, depth]);
+    return crypto.createHash('sha1').update(normalized).digest('hex');
+}
+
+function archivePath(archiveDir, entry) {
+    return path.join(archiveDir, entry.date.substring(0, 7), entry.id);
+}
+
+// raw: [{ page, body }], page is 1-based
+function writeResponses(dir, raw) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const { page, body } of raw) {
+        fs.writeFileSync(path.join(dir, `${page}.xml`), body);
+    }
+}
+
+// Archived responses ordered by page, empty when the archive was removed from disk
+function readResponses(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .map(file => /^(\d+)\.xml$/.exec(file))
+        .filter(Boolean)
+        .map(match => ({ page: parseInt(match[1]), body: fs.readFileSync(path.join(dir, match[0]), 'utf8') }))
+        .sort((a, b) => a.page - b.page);
+}
+
+function readResponse(dir, page) {
+    const file = path.join(dir, `${parseInt(page)}.xml`);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+module.exports = {
+    cacheKey,
+    archivePath,
+    writeResponses,
+    readResponses,
+    readResponse
+};
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// SERP providers: (query, engine, region, depth) -> normalized results.
+//
+// Provider interface:
+//   name             - unique name, selected via config.serp.provider (or SERP_PROVIDER env var)
+//   title            - optional display name
+//   engines          - supported engines, null for any
+//   isConfigured()   - optional, false when the provider cannot be used (e.g. no credentials)
+//   pricePerPage(engine) - optional cost of one page request in RUB, free when not defined
+//   parseRaw(raw)    - optional, parses archived raw responses back into { results, features } (cache and rebuild)
+//   search({ query, engine, region, depth, device, onPage }) -> Promise<{ results: [{ url, title, snippet }], features, request, failedPages, error, billedPages }>
+//       region is the region object from the regions catalog, device is 'desktop' or 'mobile',
+//       onPage(page, pages) is called before each page request,
+//       features - optional SERP blocks besides organic links: [{ type, position, title, url, snippet, items: [{ url, title, snippet }] }],
+//       type is one of FEATURE_TYPES values, position is the organic position the block is shown before (null if unknown),
+//       request - optional parameters actually sent to the search API (without credentials), stored with the parsing,
+//       failedPages - optional 1-based numbers of pages that could not be loaded,
+//       error - optional last error { cause, code, message, retryable }, cause is one of SERP_ERROR_CAUSES,
+//       billedPages - optional number of page requests the provider charges for,
+//       raw - optional raw responses of loaded pages [{ page, body }] (page is 1-based), archived when parseRaw is defined.
+//
+// Additional providers are registered via config.serp.providers: [{ name, module, options }],
+// where module (path relative to backend/) exports a factory (options) => provider.
+
+const RESULTS_PER_PAGE = 10;
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    if (!provider?.name || typeof provider.search !== 'function') {
+        throw new Error('SERP provider must have a name and a search() function');
+    }
+    providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function isProviderConfigured(provider) {
+    return provider.isConfigured ? !!provider.isConfigured() : true;
+}
+
+function listProviders() {
+    return [...providers.values()].map(provider => ({
+        name: provider.name,
+        title: provider.title || provider.name,
+        engines: provider.engines || null,
+        configured: isProviderConfigured(provider)
+    }));
+}
+
+// Register providers listed in config; a broken module is logged and skipped
+function loadCustomProviders(definitions = []) {
+    for (const definition of definitions) {
+        try {
+            const factory = require(path.resolve(__dirname, definition.module));
+            const provider = factory(definition.options || {});
+            if (definition.name) {
+                provider.name = definition.name;
+            }
+            registerProvider(provider);
+            console.log(`[SERP] Registered provider "${provider.name}" from ${definition.module}`);
+        } catch (error) {
+            console.error(`[SERP] Failed to load provider "${definition.name}" from ${definition.module}:`, error.message);
+        }
+    }
+}
+
+// Parse XMLStock response (Yandex XML format, used for both engines)
+function parseXmlStockResponse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const results = [];
+
+    $('group').each((index, element) => {
+        const doc = $(element).find('doc').first();
+        const url = doc.find('url').first().text().trim();
+        const title = doc.find('title').first().text().trim();
+        const snippet = doc.find('passages passage').first().text().trim() ||
+                        doc.find('headline').text().trim() || '';
+
+        if (url && title) {
+            results.push({
+                url,
+                title: stripTags(title),
+                snippet: stripTags(snippet)
+            });
+        }
+    });
+
+    return results;
+}
+
+// SERP feature blocks by XML tag: news, video and image packs, "people also ask", Yandex wizards
+const FEATURE_TYPES = {
+    'news': 'news',
+    'top-stories': 'news',
+    'top_stories': 'news',
+    'video': 'video',
+    'videos': 'video',
+    'images': 'images',
+    'image-pack': 'images',
+    'questions': 'questions',
+    'related-questions': 'questions',
+    'related_questions': 'questions',
+    'people-also-ask': 'questions',
+    'wizard': 'wizard',
+    'featured-snippet': 'wizard',
+    'answer': 'wizard'
+};
+
+const FEATURE_SELECTOR = Object.keys(FEATURE_TYPES).join(', ');
+
+function featureText(node) {
+    return stripTags(node.children('passage, snippet, headline, text, answer').first().text().trim());
+}
+
+// Parse feature blocks from XMLStock response; blocks inside groupings get their position from the preceding groups
+function parseXmlStockFeatures(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const features = [];
+
+    $(FEATURE_SELECTOR).each((index, element) => {
+        const block = $(element);
+        if (block.parents(FEATURE_SELECTOR).length) return;
+
+        const position = block.parent().is('grouping')
+            ? block.prevAll('group').length + 1
+            : parseInt(block.attr('position')) || null;
+
+        const items = block.children('item, doc').map((i, item) => {
+            const node = $(item);
+            return {
+                url: node.children('url').first().text().trim(),
+                title: stripTags(node.children('title').first().text().trim()),
+                snippet: featureText(node)
+            };
+        }).get().filter(item => item.url || item.title);
+
+        features.push({
+            type: FEATURE_TYPES[element.tagName],
+            position,
+            title: stripTags(block.children('title').first().text().trim()),
+            url: block.children('url').first().text().trim(),
+            snippet: featureText(block),
+            items
+        });
+    });
+
+    return features;
+}
+
+// Error causes reported by providers
+const SERP_ERROR_CAUSES = ['no_results', 'no_balance', 'bad_key', 'limit_exceeded', 'captcha', 'network', 'unknown'];
+
+// XMLStock errors (Yandex XML codes and XMLStock messages) -> cause; checked in order, by code first
+const XMLSTOCK_ERRORS = [
+    { cause: 'no_results', codes: ['15'], pattern: /no results|ничего не найдено|нет результатов/i, retryable: false },
+    { cause: 'no_balance', codes: [], pattern: /balance|баланс|средств|funds/i, retryable: false },
+    { cause: 'bad_key', codes: ['31', '33', '42'], pattern: /key|ключ|not registered|не зарегистрирован/i, retryable: false },
+    { cause: 'limit_exceeded', codes: ['55'], pattern: /too many|слишком много|per second|в секунду/i, retryable: true },
+    { cause: 'limit_exceeded', codes: ['32'], pattern: /limit|лимит/i, retryable: false },
+    { cause: 'captcha', codes: [], pattern: /captcha|капч/i, retryable: true }
+];
+
+// Decode <error code="..">message</error> of XMLStock response, null when the response has no error
+function parseXmlStockError(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const element = $('response > error, yandexsearch > error').first();
+    if (!element.length) return null;
+
+    const code = element.attr('code') || null;
+    const message = element.text().trim();
+    const known = XMLSTOCK_ERRORS.find(e => code && e.codes.includes(code)) ||
+                  XMLSTOCK_ERRORS.find(e => e.pattern.test(message));
+
+    return {
+        cause: known ? known.cause : 'unknown',
+        code,
+        message,
+        retryable: known ? known.retryable : true
+    };
+}
+
+// HTTP and network failures: server errors, 429 and timeouts are transient
+function describeHttpError(error) {
+    const status = error.response?.status;
+
+    if (status === 401 || status === 403) {
+        return { cause: 'bad_key', code: String(status), message: error.message, retryable: false };
+    }
+    if (status === 429) {
+        return { cause: 'limit_exceeded', code: '429', message: error.message, retryable: true };
+    }
+    return {
+        cause: 'network',
+        code: status ? String(status) : error.code || null,
+        message: error.message,
+        retryable: !status || status >= 500
+    };
+}
+
+// Results of all pages and feature blocks of the first page
+function parseXmlStockPages(raw) {
+    return {
+        results: raw.flatMap(({ body }) => parseXmlStockResponse(body)),
+        features: raw.length > 0 && raw[0].page === 1 ? parseXmlStockFeatures(raw[0].body) : []
+    };
+}
+
+// Remove hlword and other tags
+function stripTags(text) {
+    return text.replace(/<\/?hlword>/g, '').replace(/<[^>]*>/g, '');
+}
+
+// Request parameters for XMLStock by engine (empty values are not sent)
+function buildXmlStockParams(engine, region, device = 'desktop') {
+    if (engine === 'google') {
+        return Object.fromEntries(Object.entries({
+            domain: region.googleDomain || 'com',
+            gl: region.googleGl,
+            hl: region.googleHl,
+            lr: region.googleLocation,
+            device
+        }).filter(([, value]) => value));
+    }
+
+    return {
+        lr: region.yandexLr || '225',
+        device,
+        l10n: 'ru',
+        sortby: 'rlv',
+        filter: 'none',
+        groupby: `attr=d.mode=deep.groups-on-page=${RESULTS_PER_PAGE}.docs-in-group=1`
+    };
+}
+
+// Fixture location: <fixturesDir>/<engine>/<query slug>/<page>.xml
+function fixtureSlug(query) {
+    return query.toLowerCase().trim().replace(/[\s/\\:*?"<>|.]+/g, '-').replace(/^-+|-+$/g, '') || 'query';
+}
+
+function saveFixture(fixturesDir, engine, query, page, xml) {
+    const dir = path.join(fixturesDir, engine, fixtureSlug(query));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${page}.xml`), xml);
+}
+
+// XMLStock API provider
+// Options: urls { google, yandex }, getCredentials() -> { user, key },
+//          getRecordDir() -> directory to save responses as fixtures, or null,
+//          retries - extra attempts for a page with a transient error, retryDelay - base backoff in ms,
+//          getPricing() -> { google, yandex } price per 1000 requests in RUB
+function createXmlStockProvider({ urls, getCredentials, getRecordDir = () => null, retries = 2, retryDelay = 1000, getPricing = () => ({}) }) {
+    return {
+        name: 'xmlstock',
+        title: 'XMLStock',
+        engines: ['google', 'yandex'],
+
+        pricePerPage(engine) {
+            return (getPricing()[engine] || 0) / 1000;
+        },
+
+        parseRaw: parseXmlStockPages,
+
+        isConfigured() {
+            const credentials = getCredentials();
+            return !!(credentials.user && credentials.key);
+        },
+
+        async search({ query, engine, region, depth, device, onPage }) {
+            const results = [];
+            const features = [];
+            const failedPages = [];
+            const raw = [];
+            let lastError = null;
+            // Pages with results and "no results" answers are charged, errors are not
+            let billedPages = 0;
+            const credentials = getCredentials();
+
+            if (!credentials.user || !credentials.key) {
+                console.error('XMLStock credentials not configured');
+                return {
+                    results,
+                    features,
+                    failedPages,
+                    error: { cause: 'bad_key', code: null, message: 'XMLStock credentials not configured', retryable: false }
+                };
+            }
+
+            const engineName = engine === 'google' ? 'Google' : 'Yandex';
+            const pages = Math.ceil(depth / RESULTS_PER_PAGE);
+            const recordDir = getRecordDir();
+            const requestParams = buildXmlStockParams(engine, region, device);
+
+            for (let page = 0; page < pages && results.length < depth; page++) {
+                if (onPage) onPage(page, pages);
+
+                const params = new URLSearchParams({
+                    user: credentials.user,
+                    key: credentials.key,
+                    query: query,
+                    page: page.toString(),
+                    ...requestParams
+                });
+
+                let pageError = null;
+                let xml = null;
+
+                for (let attempt = 0; attempt <= retries; attempt++) {
+                    if (attempt > 0) {
+                        const delay = retryDelay * Math.pow(2, attempt - 1);
+                        console.log(`XMLStock ${engineName} retrying page ${page + 1} in ${delay}ms (attempt ${attempt}/${retries})`);
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
+
+                    try {
+                        console.log(`XMLStock ${engineName} request page ${page + 1}/${pages}`);
+                        const response = await axios.get(`${urls[engine]}?${params.toString()}`, { timeout: 30000 });
+                        pageError = parseXmlStockError(response.data);
+                        if (!pageError || pageError.cause === 'no_results') {
+                            billedPages++;
+                        }
+                        if (!pageError) {
+                            xml = response.data;
+                        }
+                    } catch (error) {
+                        pageError = describeHttpError(error);
+                        if (error.response) {
+                            console.error('Response data:', error.response.data?.substring?.(0, 500));
+                        }
+                    }
+
+                    if (!pageError || !pageError.retryable || attempt === retries) break;
+                    console.error(`XMLStock ${engineName} error (page ${page + 1}): ${pageError.cause} - ${pageError.message}`);
+                }
+
+                // No results is a normal end of the SERP, not a failure
+                if (pageError?.cause === 'no_results') break;
+
+                if (pageError) {
+                    console.error(`XMLStock ${engineName} page ${page + 1} failed: ${pageError.cause} - ${pageError.message}`);
+                    lastError = pageError;
+                    failedPages.push(page + 1);
+
+                    // Balance, key and daily limit errors fail every following page as well
+                    if (!pageError.retryable) {
+                        for (let rest = page + 2; rest <= pages; rest++) failedPages.push(rest);
+                        break;
+                    }
+                    continue;
+                }
+
+                if (recordDir) {
+                    saveFixture(recordDir, engine, query, page, xml);
+                }
+
+                raw.push({ page: page + 1, body: xml });
+                results.push(...parseXmlStockResponse(xml));
+                // Feature blocks are only shown on the first page
+                if (page === 0) {
+                    features.push(...parseXmlStockFeatures(xml));
+                }
+
+                // Small delay between pages
+                if (page < pages - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 300));
+                }
+            }
+
+            return {
+                results: results.slice(0, depth),
+                features,
+                request: { url: urls[engine], ...requestParams, pages },
+                failedPages,
+                error: lastError,
+                billedPages,
+                raw
+            };
+        }
+    };
+}
+
+// Offline provider replaying saved XMLStock responses from disk.
+// Queries without their own fixtures use <fixturesDir>/<engine>/default/. Region and device are ignored.
+function createFixtureProvider({ getFixturesDir }) {
+    return {
+        name: 'fixture',
+        title: 'Фикстуры (офлайн)',
+        engines: null,
+
+        isConfigured() {
+            return fs.existsSync(getFixturesDir());
+        },
+
+        parseRaw: parseXmlStockPages,
+
+        async search({ query, engine, depth, onPage }) {
+            const results = [];
+            const features = [];
+            const raw = [];
+            const fixturesDir = getFixturesDir();
+            const dir = [path.join(fixturesDir, engine, fixtureSlug(query)), path.join(fixturesDir, engine, 'default')]
+                .find(candidate => fs.existsSync(candidate));
+
+            if (!dir) {
+                console.error(`[SERP] No fixtures for ${engine} "${query}" in ${fixturesDir}`);
+                return { results, features, request: null };
+            }
+
+            const pages = Math.ceil(depth / RESULTS_PER_PAGE);
+
+            for (let page = 0; page < pages && results.length < depth; page++) {
+                const file = path.join(dir, `${page}.xml`);
+                if (!fs.existsSync(file)) break;
+
+                if (onPage) onPage(page, pages);
+                const xml = fs.readFileSync(file, 'utf8');
+                raw.push({ page: page + 1, body: xml });
+                results.push(...parseXmlStockResponse(xml));
+                if (page === 0) {
+                    features.push(...parseXmlStockFeatures(xml));
+                }
+            }
+
+            const fixture = path.relative(fixturesDir, dir);
+            console.log(`[SERP] Replayed ${results.length} ${engine} results from ${fixture}`);
+            return { results: results.slice(0, depth), features, request: { fixture }, raw };
+        }
+    };
+}
+
+module.exports = {
+    RESULTS_PER_PAGE,
+    FEATURE_TYPES,
+    SERP_ERROR_CAUSES,
+    registerProvider,
+    getProvider,
+    isProviderConfigured,
+    listProviders,
+    loadCustomProviders,
+    parseXmlStockResponse,
+    parseXmlStockFeatures,
+    parseXmlStockError,
+    createXmlStockProvider,
+    createFixtureProvider
+};
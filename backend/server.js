@@ -6,6 +6,17 @@ const path = require('path');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const Anthropic = require('@anthropic-ai/sdk');
+const storage = require('./storage');
+const serpProviders = require('./serp-providers');
+const serpArchive = require('./serp-archive');
+const sentimentSubject = require('./sentiment-subject');
+const sentimentLexicon = require('./sentiment-lexicon');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+const domainDirectory = require('./domain-directory');
+const pageFetcher = require('./page-fetcher');
+const sentimentEvaluation = require('./sentiment-evaluation');
+const claudePrompts = require('./claude-prompts');
+const resultRelevance = require('./result-relevance');
 
 // Load environment variables from .env file (for local development)
 try {
@@ -37,7 +48,7 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // domain directory imports
 
 // Serve frontend static files
 app.use(express.static(path.join(__dirname, '../frontend')));
@@ -47,6 +58,14 @@ const asyncHandler = (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Thrown inside a background parsing task when cancellation was requested
+class ParsingCancelledError extends Error {
+    constructor() {
+        super('Parsing cancelled');
+        this.name = 'ParsingCancelledError';
+    }
+}
+
 // Request logging middleware - verbose for debugging
 app.use((req, res, next) => {
     const start = Date.now();
@@ -69,28 +88,16 @@ const XMLSTOCK_CONFIG = {
 
 // Data storage path
 const DATA_DIR = path.join(__dirname, '../data');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
 
 // In-memory storage for active background parsings
 const activeParsings = new Map();
 // Structure: { taskId: { projectId, entityId, status, progress, currentStep, totalSteps, result, error, startedAt } }
+// Completion promises of running tasks (taskId -> Promise<task>), used by the scheduler to await parsings
+const parsingCompletions = new Map();
 
-// Load/Save config
-function loadConfig() {
-    try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-        }
-    } catch (error) {
-        console.error('Error loading config:', error);
-    }
-    return { xmlstock: { user: '', key: '' } };
-}
-
-function saveConfig(config) {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-}
+// Load config (stored in SQLite, see storage.js; changes go through storage.updateConfig)
+const { loadConfig } = storage;
 
 function getXmlStockCredentials() {
     const config = loadConfig();
@@ -105,22 +112,22 @@ if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Load projects from file
-function loadProjects() {
+// Open database at startup so the JSON migration and integrity check do not run inside a request
+storage.init();
+
+// Keep a verified copy of the database to recover from if the file gets corrupted
+const DB_BACKUP_INTERVAL = 6 * 60 * 60 * 1000;
+
+function backupDatabase() {
     try {
-        if (fs.existsSync(PROJECTS_FILE)) {
-            return JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
-        }
+        storage.backupDatabase();
     } catch (error) {
-        console.error('Error loading projects:', error);
+        console.error('[Storage] Database backup failed:', error.message);
     }
-    return [];
 }
 
-// Save projects to file
-function saveProjects(projects) {
-    fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projects, null, 2));
-}
+backupDatabase();
+setInterval(backupDatabase, DB_BACKUP_INTERVAL);
 
 // CTR coefficients by position (Top 10 = 100%)
 const CTR_COEFFICIENTS = {
@@ -169,61 +176,53 @@ const SENTIMENT_COMMENTS = {
     }
 };
 
-// Domain categories for better sentiment reasoning
-const DOMAIN_CATEGORIES = {
-    '24smi.org': { type: 'tabloid', bias: 'mixed' },
-    'wikipedia.org': { type: 'encyclopedia', bias: 'neutral' },
-    'instagram.com': { type: 'social', bias: 'mixed' },
-    'vk.com': { type: 'social', bias: 'mixed' },
-    'youtube.com': { type: 'video', bias: 'mixed' },
-    'tiktok.com': { type: 'social', bias: 'mixed' },
-    'eksmo.ru': { type: 'publisher', bias: 'neutral' },
-    'litres.ru': { type: 'bookstore', bias: 'neutral' },
-    'labirint.ru': { type: 'bookstore', bias: 'neutral' },
-    'ozon.ru': { type: 'marketplace', bias: 'neutral' },
-    'wildberries.ru': { type: 'marketplace', bias: 'neutral' },
-    'avito.ru': { type: 'classifieds', bias: 'neutral' },
-    'hh.ru': { type: 'jobs', bias: 'neutral' },
-    'dzen.ru': { type: 'blog', bias: 'mixed' },
-    'pikabu.ru': { type: 'forum', bias: 'mixed' },
-    'habr.com': { type: 'tech', bias: 'neutral' },
-    'vc.ru': { type: 'business', bias: 'neutral' },
-    'forbes.ru': { type: 'business', bias: 'neutral' },
-    'rbc.ru': { type: 'news', bias: 'neutral' },
-    'lenta.ru': { type: 'news', bias: 'mixed' },
-    'ria.ru': { type: 'news', bias: 'official' },
-    'tass.ru': { type: 'news', bias: 'official' },
-    'kommersant.ru': { type: 'business', bias: 'neutral' },
-    'vedomosti.ru': { type: 'business', bias: 'neutral' },
-    'kp.ru': { type: 'tabloid', bias: 'mixed' },
-    '5-tv.ru': { type: 'tv', bias: 'official' },
-    'ntv.ru': { type: 'tv', bias: 'official' },
-    '1tv.ru': { type: 'tv', bias: 'official' },
-    'otzovik.com': { type: 'reviews', bias: 'mixed' },
-    'irecommend.ru': { type: 'reviews', bias: 'mixed' },
-    'flamp.ru': { type: 'reviews', bias: 'mixed' }
-};
+// Domain reputation directory (see domain-directory.js), managed via /api/domains and /api/projects/:projectId/domains
+storage.seedDomains(domainDirectory.DEFAULT_DOMAINS);
+
+// Directory of a project: global entries with the project overrides (projectId null - global only)
+function getProjectDomains(projectId) {
+    return domainDirectory.buildDirectory(storage.listDomains(), projectId ? storage.listDomains(projectId) : []);
+}
+
+// Directory entry of a domain; without a directory the global one is used
+function getDomainEntry(domain, domains = null) {
+    return domain ? domainDirectory.findDomain(domains || getProjectDomains(null), domain) : null;
+}
+
+const DOMAIN_SOURCE_LABELS = { owned: 'собственный ресурс', friendly: 'дружественный ресурс', hostile: 'враждебный ресурс' };
+
+// Source label of a domain for sentiment comments, null for unremarkable domains
+function describeDomainSource(entry, sentiment) {
+    if (!entry) return null;
+    if (entry.category === 'compromat' && (entry.relation === 'hostile' || entry.bias < 0)) return 'компроматный ресурс';
+    if (DOMAIN_SOURCE_LABELS[entry.relation]) return DOMAIN_SOURCE_LABELS[entry.relation];
+    return entry.bias < 0 && sentiment === 'negative' ? 'ресурс с негативным уклоном' : null;
+}
 
 // Generate sentiment comment based on domain, type, and sentiment
-function generateSentimentComment(domain, type, sentiment) {
+function generateSentimentComment(domain, type, sentiment, domains = null) {
     const baseComment = SENTIMENT_COMMENTS[sentiment][type] || SENTIMENT_COMMENTS[sentiment].news;
-    const domainInfo = DOMAIN_CATEGORIES[domain];
+    const domainInfo = getDomainEntry(domain, domains);
 
     if (domainInfo) {
-        if (domainInfo.type === 'tabloid' && sentiment === 'negative') {
+        const source = describeDomainSource(domainInfo, sentiment);
+        if (source && domainInfo.relation !== 'neutral') {
+            return `${baseComment} | Источник: ${source}`;
+        }
+        if (domainInfo.category === 'tabloid' && sentiment === 'negative') {
             return 'Таблоидная публикация с негативным уклоном';
         }
-        if (domainInfo.type === 'reviews') {
+        if (domainInfo.category === 'reviews') {
             return sentiment === 'positive' ? 'Положительный отзыв на сайте отзывов' :
                    sentiment === 'negative' ? 'Отрицательный отзыв на сайте отзывов' :
                    'Нейтральный отзыв на сайте отзывов';
         }
-        if (domainInfo.type === 'social') {
+        if (domainInfo.category === 'social') {
             return sentiment === 'positive' ? 'Позитивный контент в соцсети' :
                    sentiment === 'negative' ? 'Негативный контент в соцсети' :
                    'Нейтральное упоминание в соцсети';
         }
-        if (domainInfo.bias === 'official') {
+        if (domainDirectory.isOfficialDomain(domainInfo)) {
             return sentiment === 'positive' ? 'Положительная публикация в официальном СМИ' :
                    sentiment === 'negative' ? 'Критическая публикация в официальном СМИ' :
                    'Нейтральная публикация в официальном СМИ';
@@ -233,25 +232,95 @@ function generateSentimentComment(domain, type, sentiment) {
     return baseComment;
 }
 
-// Available regions for search
-const REGIONS = {
-    'ru': { name: 'Россия', code: 'ru', googleGl: 'ru', yandexLr: '225' },
-    'ru-msk': { name: 'Москва', code: 'ru-msk', googleGl: 'ru', yandexLr: '213' },
-    'ru-spb': { name: 'Санкт-Петербург', code: 'ru-spb', googleGl: 'ru', yandexLr: '2' },
-    'ru-krd': { name: 'Краснодар', code: 'ru-krd', googleGl: 'ru', yandexLr: '35' },
-    'ru-nsk': { name: 'Новосибирск', code: 'ru-nsk', googleGl: 'ru', yandexLr: '65' },
-    'ru-ekb': { name: 'Екатеринбург', code: 'ru-ekb', googleGl: 'ru', yandexLr: '54' },
-    'ua': { name: 'Украина', code: 'ua', googleGl: 'ua', yandexLr: '187' },
-    'by': { name: 'Беларусь', code: 'by', googleGl: 'by', yandexLr: '149' },
-    'kz': { name: 'Казахстан', code: 'kz', googleGl: 'kz', yandexLr: '159' },
-    'us': { name: 'США', code: 'us', googleGl: 'us', yandexLr: '84' },
-    'de': { name: 'Германия', code: 'de', googleGl: 'de', yandexLr: '96' },
-    'world': { name: 'Весь мир', code: 'world', googleGl: '', yandexLr: '0' }
+// Default regions, copied to the regions catalog on first start (then managed via /api/regions)
+// Google: googleDomain - google.<domain>, googleGl - country, googleHl - interface language,
+// googleLocation - Google geo target ID (cities without a verified ID use their country)
+const DEFAULT_REGIONS = {
+    'ru': { name: 'Россия', code: 'ru', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '2643', yandexLr: '225' },
+    'ru-msk': { name: 'Москва', code: 'ru-msk', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '1011969', yandexLr: '213' },
+    'ru-spb': { name: 'Санкт-Петербург', code: 'ru-spb', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '1012040', yandexLr: '2' },
+    'ru-krd': { name: 'Краснодар', code: 'ru-krd', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '2643', yandexLr: '35' },
+    'ru-nsk': { name: 'Новосибирск', code: 'ru-nsk', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '2643', yandexLr: '65' },
+    'ru-ekb': { name: 'Екатеринбург', code: 'ru-ekb', googleDomain: 'ru', googleGl: 'ru', googleHl: 'ru', googleLocation: '2643', yandexLr: '54' },
+    'ua': { name: 'Украина', code: 'ua', googleDomain: 'com.ua', googleGl: 'ua', googleHl: 'uk', googleLocation: '2804', yandexLr: '187' },
+    'by': { name: 'Беларусь', code: 'by', googleDomain: 'by', googleGl: 'by', googleHl: 'ru', googleLocation: '2112', yandexLr: '149' },
+    'kz': { name: 'Казахстан', code: 'kz', googleDomain: 'kz', googleGl: 'kz', googleHl: 'ru', googleLocation: '2398', yandexLr: '159' },
+    'us': { name: 'США', code: 'us', googleDomain: 'com', googleGl: 'us', googleHl: 'en', googleLocation: '2840', yandexLr: '84' },
+    'de': { name: 'Германия', code: 'de', googleDomain: 'de', googleGl: 'de', googleHl: 'de', googleLocation: '2276', yandexLr: '96' },
+    'world': { name: 'Весь мир', code: 'world', googleDomain: 'com', googleGl: '', googleHl: 'en', googleLocation: '', yandexLr: '0' }
+};
+
+storage.seedRegions(Object.values(DEFAULT_REGIONS));
+
+// Region by code; unknown or deleted regions fall back to Russia
+function getRegionInfo(code) {
+    return storage.getRegion(code) || storage.getRegion('ru') || DEFAULT_REGIONS['ru'];
+}
+
+// Regions to parse: explicit region, else regions configured for the entity, else the project region
+function resolveParsingRegions(project, entity, region = null) {
+    if (region) return [region];
+    const entityRegions = (entity.regions || []).filter(code => storage.getRegion(code));
+    return entityRegions.length > 0 ? entityRegions : [project?.region || 'ru'];
+}
+
+// Entity device setting: desktop, mobile or both
+const DEVICE_SETTINGS = {
+    desktop: ['desktop'],
+    mobile: ['mobile'],
+    both: ['desktop', 'mobile']
 };
 
-// Get available regions endpoint
-function getRegions() {
-    return Object.values(REGIONS).map(r => ({ code: r.code, name: r.name }));
+const DEVICE_LABELS = { desktop: 'Десктоп', mobile: 'Мобильные' };
+
+// Devices to parse: explicit device setting, else the entity one (desktop by default)
+function resolveParsingDevices(entity, device = null) {
+    return DEVICE_SETTINGS[device || entity.device] || DEVICE_SETTINGS.desktop;
+}
+
+// Validate entity region list, returns error message or null
+function validateEntityRegions(regions) {
+    if (!Array.isArray(regions)) {
+        return 'Regions must be an array of region codes';
+    }
+    const unknown = regions.filter(code => !storage.getRegion(code));
+    return unknown.length > 0 ? `Unknown regions: ${unknown.join(', ')}` : null;
+}
+
+const REGION_FIELDS = ['name', 'yandexLr', 'googleDomain', 'googleGl', 'googleHl', 'googleLocation'];
+
+// Validate region fields, returns error message or null
+function validateRegion(region) {
+    if (!region.name) {
+        return 'Region name is required';
+    }
+    if (!/^\d+$/.test(region.yandexLr || '')) {
+        return 'Yandex lr must be a numeric region code';
+    }
+    if (region.googleDomain && !/^[a-z]{2,3}(\.[a-z]{2,3})?$/.test(region.googleDomain)) {
+        return 'Google domain must be a google.* zone, e.g. "ru" or "com.ua"';
+    }
+    if (region.googleGl && !/^[a-z]{2}$/.test(region.googleGl)) {
+        return 'Google country (gl) must be a two-letter code';
+    }
+    if (region.googleHl && !/^[a-z]{2}(-[a-zA-Z]{2,4})?$/.test(region.googleHl)) {
+        return 'Google language (hl) must be a language code, e.g. "ru" or "pt-BR"';
+    }
+    if (region.googleLocation && !/^\d+$/.test(region.googleLocation)) {
+        return 'Google location must be a numeric geo target ID';
+    }
+    return null;
+}
+
+// Trimmed string values of the region fields present in body
+function pickRegionFields(body) {
+    const fields = {};
+    for (const field of REGION_FIELDS) {
+        if (body[field] !== undefined) {
+            fields[field] = String(body[field] ?? '').trim();
+        }
+    }
+    return fields;
 }
 
 // Transliterate cyrillic to latin for URL
@@ -292,8 +361,11 @@ function extractDomain(url) {
     }
 }
 
-// Determine content type from URL and title
-function determineContentType(url, title) {
+// Determine content type from the domain category, else from URL and title
+function determineContentType(url, title, domainEntry = null) {
+    const categoryType = domainDirectory.getCategoryContentType(domainEntry);
+    if (categoryType) return categoryType;
+
     const urlLower = url.toLowerCase();
     const titleLower = (title || '').toLowerCase();
 
@@ -306,202 +378,124 @@ function determineContentType(url, title) {
     return 'official';
 }
 
-// Advanced sentiment analysis with weights, negations, and domain bias
-const SENTIMENT_WORDS = {
-    positive: {
-        // Сильно позитивные (вес 3)
-        'выдающийся': 3, 'великолепный': 3, 'блестящий': 3, 'гениальный': 3,
-        'легендарный': 3, 'феноменальный': 3, 'триумф': 3, 'прорыв': 3,
-
-        // Умеренно позитивные (вес 2)
-        'успех': 2, 'успешн': 2, 'победа': 2, 'победител': 2, 'талант': 2,
-        'достижение': 2, 'награда': 2, 'награжден': 2, 'признание': 2,
-        'звезда': 2, 'профессионал': 2, 'эксперт': 2, 'мастер': 2,
-        'лидер': 2, 'рекорд': 2, 'лауреат': 2, 'чемпион': 2,
-
-        // Слабо позитивные (вес 1)
-        'хороший': 1, 'хорош': 1, 'отличн': 1, 'прекрасн': 1, 'замечательн': 1,
-        'популярн': 1, 'известн': 1, 'любим': 1, 'уважаем': 1, 'почетн': 1,
-        'красив': 1, 'интересн': 1, 'полезн': 1, 'качествен': 1,
-        'рекомендуем': 1, 'рекомендую': 1, 'советую': 1, 'нравится': 1,
-        'радость': 1, 'счастье': 1, 'счастлив': 1, 'позитив': 1,
-        'вдохновля': 1, 'восхища': 1, 'впечатля': 1
-    },
-    negative: {
-        // Сильно негативные (вес 3)
-        'мошенник': 3, 'мошенничество': 3, 'афера': 3, 'аферист': 3,
-        'преступник': 3, 'преступлен': 3, 'арест': 3, 'арестован': 3,
-        'тюрьма': 3, 'заключен': 3, 'убийство': 3, 'убийца': 3,
-        'насилие': 3, 'насильник': 3, 'педофил': 3, 'изнасилов': 3,
-        'наркотик': 3, 'наркоман': 3, 'коррупц': 3, 'взятк': 3,
-        'разоблач': 3, 'компромат': 3,
-
-        // Умеренно негативные (вес 2)
-        'скандал': 2, 'провал': 2, 'банкрот': 2, 'банкротств': 2,
-        'обман': 2, 'обманул': 2, 'ложь': 2, 'лжец': 2, 'врет': 2,
-        'воровств': 2, 'украл': 2, 'кража': 2, 'хищение': 2,
-        'обвинен': 2, 'обвиня': 2, 'подозрева': 2, 'подозрение': 2,
-        'суд': 2, 'судим': 2, 'штраф': 2, 'иск': 2,
-        'увольн': 2, 'уволен': 2, 'отставк': 2,
-        'трагедия': 2, 'трагическ': 2, 'гибель': 2, 'смерть': 2,
-        'жертв': 2, 'катастроф': 2, 'авария': 2,
-
-        // Слабо негативные (вес 1)
-        'критик': 1, 'критику': 1, 'негатив': 1, 'проблем': 1,
-        'конфликт': 1, 'спор': 1, 'ссора': 1, 'скандальн': 1,
-        'жалоб': 1, 'претензи': 1, 'недовольн': 1, 'возмущен': 1,
-        'плох': 1, 'ужасн': 1, 'кошмар': 1, 'отвратительн': 1,
-        'разочаров': 1, 'неудач': 1, 'провальн': 1, 'ошибк': 1,
-        'кризис': 1, 'долг': 1, 'задолжен': 1,
-        'развод': 1, 'измен': 1, 'неверн': 1,
-        'алкогол': 1, 'пьян': 1, 'запой': 1,
-        'болезн': 1, 'болен': 1, 'диагноз': 1
-    }
-};
+// Advanced sentiment analysis with weights, phrases, negations, and domain bias
+// (lexicon: sentiment-lexicon.js, the default one merged with the project additions; matching: sentiment-analyzer.js)
 
-// Слова-отрицания
-const NEGATION_WORDS = ['не', 'нет', 'без', 'ни', 'никак', 'никогда', 'нигде', 'никто', 'ничто', 'отсутств'];
-
-// Домены с предвзятостью
-const DOMAIN_BIAS = {
-    // Негативно-ориентированные ресурсы
-    'kompromatwiki.org': -2,
-    'compromat.ru': -2,
-    'rucriminal.info': -2,
-    'kompromat.ru': -2,
-    'anticompromat.org': -1,
-    'scandal.ru': -1,
-
-    // Нейтрально-информационные
-    'wikipedia.org': 0,
-    'ru.wikipedia.org': 0,
-
-    // Позитивно-ориентированные (официальные, профессиональные)
-    'forbes.ru': 0.5,
-    'rbc.ru': 0,
-    'vedomosti.ru': 0,
-    'kommersant.ru': 0,
-
-    // Социальные сети (нейтральные, зависит от контента)
-    'vk.com': 0,
-    'instagram.com': 0,
-    'facebook.com': 0,
-    'youtube.com': 0,
-    'tiktok.com': 0,
-    'dzen.ru': 0,
-
-    // Отзовики (могут быть как позитивные, так и негативные)
-    'otzovik.com': 0,
-    'irecommend.ru': 0,
-    'flamp.ru': 0
-};
+// Маркеры того, что субъект репутации - пострадавшая сторона (по началу слова)
+const VICTIM_WORDS = [
+    'жертв', 'пострада', 'потерпевш', 'обманут', 'обманули', 'ограбил', 'ограблен', 'оклевет', 'клевет',
+    'шантаж', 'вымога', 'угрож', 'взлом', 'похити', 'украли', 'подделк', 'поддельн', 'фейков', 'самозван', 'двойник'
+];
+// Окно (в словах) вокруг упоминания субъекта, в котором ищутся маркеры
+const SUBJECT_CONTEXT_WINDOW = 5;
+
+// Упоминание субъекта в тексте и пострадал ли он: маркер жертвы или "от имени <субъекта>" рядом с упоминанием
+function getSubjectContext(textWords, subject) {
+    const stems = sentimentSubject.subjectStems(subject);
+    const mentions = [];
+    textWords.forEach((word, i) => {
+        if (stems.some(stem => word.startsWith(stem))) mentions.push(i);
+    });
 
-function analyzeSentiment(title, snippet, domain = '') {
-    // Безопасный анализ без циклов while и сложных regex
-    const text = ` ${title || ''} ${snippet || ''} `.toLowerCase().substring(0, 1000);
+    const victim = mentions.some(i => {
+        if (textWords[i - 2] === 'от' && textWords[i - 1] === 'имени') return true;
+        const around = textWords.slice(Math.max(0, i - SUBJECT_CONTEXT_WINDOW), i + SUBJECT_CONTEXT_WINDOW + 1);
+        return around.some(w => VICTIM_WORDS.some(marker => w.startsWith(marker)));
+    });
 
-    // Разбиваем текст на слова один раз (ограничиваем 200 словами для безопасности)
-    const textWords = text.split(/[^а-яёa-z0-9]+/i).filter(w => w.length > 0).slice(0, 200);
+    return { mentioned: mentions.length > 0, victim };
+}
 
-    let positiveScore = 0;
-    let negativeScore = 0;
+// Сниппет для анализаторов: с текстом страницы и комментариями, если страница загружена (page-fetcher.js)
+function getAnalysisSnippet(item) {
+    return [item.snippet, item.pageText, item.pageComments].filter(Boolean).join(' ');
+}
 
-    // Проверяем каждое слово текста
-    for (let i = 0; i < textWords.length; i++) {
-        const word = textWords[i];
+// Словарь проекта: базовый с дополнениями и переопределениями проекта
+function getProjectLexicon(projectId) {
+    const entries = storage.listLexiconEntries(projectId);
+    return entries.length > 0 ? sentimentLexicon.buildLexicon(entries) : sentimentLexicon.DEFAULT_LEXICON;
+}
 
-        // Проверка на отрицание в предыдущих 3 словах
-        const hasNegation = textWords.slice(Math.max(0, i - 3), i)
-            .some(w => NEGATION_WORDS.includes(w));
+// subject - субъект репутации (sentiment-subject.js): негатив текста не учитывается, если субъект пострадавший
+// lexicon - словарь проекта (sentimentLexicon.buildLexicon), по умолчанию базовый
+// domains - справочник доменов проекта (getProjectDomains), по умолчанию глобальный
+function analyzeSentiment(title, snippet, domain = '', subject = null, lexicon = null, domains = null) {
+    return scoreSentiment(title, snippet, domain, subject, lexicon, domains).sentiment;
+}
 
-        // Ищем совпадения с позитивными словами (по началу слова)
-        for (const [keyword, weight] of Object.entries(SENTIMENT_WORDS.positive)) {
-            if (word.startsWith(keyword) || word === keyword) {
-                if (hasNegation) {
-                    negativeScore += weight * 0.5;
-                } else {
-                    positiveScore += weight;
-                }
-                break; // Одно слово — одно совпадение
-            }
-        }
+// Подробный результат локального анализа: { sentiment, positiveScore, negativeScore, domainBias, domainEntry, victim, markers }
+// markers - сработавшие слова и фразы (sentimentAnalyzer.findMarkers), маркеры заголовка весят больше
+function scoreSentiment(title, snippet, domain = '', subject = null, lexicon = null, domains = null) {
+    const { tokens, markers } = sentimentAnalyzer.findMarkers(title, snippet, lexicon || sentimentLexicon.DEFAULT_LEXICON);
+    let { positiveScore, negativeScore } = sentimentAnalyzer.scoreMarkers(markers);
 
-        // Ищем совпадения с негативными словами
-        for (const [keyword, weight] of Object.entries(SENTIMENT_WORDS.negative)) {
-            if (word.startsWith(keyword) || word === keyword) {
-                if (hasNegation) {
-                    positiveScore += weight * 0.5;
-                } else {
-                    negativeScore += weight;
-                }
-                break;
-            }
-        }
+    // Негатив в тексте относится к обидчикам субъекта, а не к нему самому (учитывается только домен)
+    const victim = !!subject && getSubjectContext(tokens.map(token => token.word), subject).victim;
+    if (victim) {
+        negativeScore = 0;
     }
 
-    // Учёт bias домена
-    const domainBias = DOMAIN_BIAS[domain] || 0;
+    // Учёт bias домена из справочника
+    const domainEntry = getDomainEntry(domain, domains);
+    const domainBias = domainEntry?.bias || 0;
     if (domainBias > 0) {
         positiveScore += domainBias;
     } else if (domainBias < 0) {
         negativeScore += Math.abs(domainBias);
     }
 
+    const score = { sentiment: 'neutral', positiveScore, negativeScore, domainBias, domainEntry, victim, markers };
+
     // Определение итоговой тональности
     const totalScore = positiveScore + negativeScore;
-    if (totalScore === 0) return 'neutral';
+    if (totalScore === 0) return score;
 
     const normalizedDiff = (positiveScore - negativeScore) / totalScore;
 
-    if (normalizedDiff > 0.3) return 'positive';
-    if (normalizedDiff < -0.3) return 'negative';
-    return 'neutral';
+    if (normalizedDiff > 0.3) score.sentiment = 'positive';
+    if (normalizedDiff < -0.3) score.sentiment = 'negative';
+    return score;
+}
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Модель, температура и шаблоны промптов Claude (claude-prompts.js): настройки /api/config/claude и шаблоны проекта
+function getClaudeSettings(projectId = null) {
+    const project = projectId ? storage.getProject(projectId, { withResults: false }) : null;
+    return claudePrompts.resolveClaudeSettings(loadConfig().claude, project?.claudeTemplates);
 }
 
-// Анализ тональности через Claude API (более точный)
-async function analyzeSentimentWithClaude(title, snippet, url = '') {
+// Параметры запроса к Claude: температура передается, только если задана
+function buildClaudeRequest(settings, maxTokens, content) {
+    return {
+        model: settings.model,
+        max_tokens: maxTokens,
+        ...(settings.temperature !== null ? { temperature: settings.temperature } : {}),
+        messages: [{ role: 'user', content }]
+    };
+}
+
+// Анализ тональности через Claude API (более точный), subject - субъект репутации (null - персона или бренд из текста)
+// settings - настройки Claude (getClaudeSettings), по умолчанию глобальные
+async function analyzeSentimentWithClaude(title, snippet, url = '', subject = null, settings = null) {
     const client = getAnthropicClient();
     if (!client) {
         // Fallback на локальный анализ если нет API ключа
         console.log('[Sentiment] Claude API not configured, using local analysis');
         return {
-            sentiment: analyzeSentiment(title, snippet),
+            sentiment: analyzeSentiment(title, snippet, '', subject),
             explanation: 'Локальный анализ (Claude API не настроен)',
             confidence: 0.5
         };
     }
 
-    const text = `Заголовок: ${title || 'Не указан'}\nОписание: ${snippet || 'Не указано'}\nURL: ${url || 'Не указан'}`;
-
     try {
-        const response = await client.messages.create({
-            model: 'claude-3-haiku-20240307',
-            max_tokens: 200,
-            messages: [{
-                role: 'user',
-                content: `Проанализируй тональность этой публикации относительно репутации персоны или бренда, упомянутого в тексте.
-
-${text}
-
-Ответь СТРОГО в формате JSON:
-{
-  "sentiment": "positive" | "negative" | "neutral",
-  "confidence": 0.0-1.0,
-  "explanation": "краткое объяснение на русском (до 100 символов)"
-}
+        settings = settings || getClaudeSettings();
+        const prompt = claudePrompts.buildSentimentPrompt(settings.templates, [{ title, snippet, url }], { subject });
+        const response = await client.messages.create(buildClaudeRequest(settings, settings.maxTokens, prompt));
 
-Критерии:
-- positive: хвалебный отзыв, достижения, успехи, благодарности
-- negative: критика, скандалы, проблемы, жалобы, обман, мошенничество
-- neutral: информационная статья без оценки, биография, факты
-
-Только JSON, без markdown.`
-            }]
-        });
-
-        const content = response.content[0].text.trim();
-        // Парсим JSON ответ
-        const result = JSON.parse(content);
+        const result = parseClaudeJson(response.content[0].text);
 
         console.log(`[Sentiment] Claude: ${result.sentiment} (${result.confidence}) - ${title?.substring(0, 50)}`);
 
@@ -514,15 +508,136 @@ ${text}
         console.error('[Sentiment] Claude API error:', error.message);
         // Fallback на локальный анализ при ошибке
         return {
-            sentiment: analyzeSentiment(title, snippet),
+            sentiment: analyzeSentiment(title, snippet, '', subject),
             explanation: `Ошибка Claude API: ${error.message}`,
             confidence: 0.3
         };
     }
 }
 
+// Батчевый анализ через Claude: несколько результатов в одном запросе, ответ - JSON-массив оценок
+const CLAUDE_BATCH_SIZE = 10;       // Результатов в одном запросе
+const CLAUDE_CONCURRENCY = 3;       // Одновременных запросов
+const CLAUDE_MAX_RETRIES = 4;       // Повторов при rate limit, перегрузке API и сетевых ошибках
+const CLAUDE_RETRY_DELAY = 2000;    // Базовая пауза перед повтором, мс (если API не прислал retry-after)
+
+// Rate limit (429), перегрузка (529), ошибки сервера и соединения проходят после паузы
+function isRetryableClaudeError(error) {
+    return error instanceof Anthropic.APIError && (!error.status || error.status === 429 || error.status >= 500);
+}
+
+function getClaudeRetryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.headers?.get?.('retry-after'));
+    return Number.isFinite(retryAfter) ? retryAfter * 1000 : CLAUDE_RETRY_DELAY * Math.pow(2, attempt);
+}
+
+// JSON из ответа Claude; модели и шаблоны настраиваются, поэтому ответ может прийти в блоке ```json
+function parseClaudeJson(text) {
+    return JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+}
+
+// Оценки из ответа по номерам публикаций; null - модель не оценила публикацию
+function parseSentimentBatchResponse(text, count) {
+    const parsed = parseClaudeJson(text);
+    const analyses = new Array(count).fill(null);
+
+    for (const entry of Array.isArray(parsed) ? parsed : []) {
+        const index = Number(entry?.id) - 1;
+        if (index >= 0 && index < count && SENTIMENTS.includes(entry.sentiment)) {
+            analyses[index] = {
+                sentiment: entry.sentiment,
+                explanation: entry.explanation || '',
+                confidence: typeof entry.confidence === 'number' ? entry.confidence : 0.7,
+                relevance: resultRelevance.RELEVANCES.includes(entry.relevance) ? entry.relevance : null,
+                source: 'claude'
+            };
+        }
+    }
+
+    return analyses;
+}
+
+// Один запрос к Claude на группу результатов, с повторами при временных ошибках
+// claudeContext - { settings, query }: настройки Claude проекта и поисковый запрос для шаблонов
+async function analyzeSentimentChunkWithClaude(client, chunk, subject, claudeContext) {
+    const { settings, query } = claudeContext;
+    const content = claudePrompts.buildSentimentPrompt(settings.templates, chunk, { subject, query, batch: true });
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await client.messages.create(
+                buildClaudeRequest(settings, 100 + chunk.length * settings.maxTokens, content), { maxRetries: 0 });
+
+            return parseSentimentBatchResponse(response.content[0].text, chunk.length);
+        } catch (error) {
+            if (!isRetryableClaudeError(error) || attempt >= CLAUDE_MAX_RETRIES) throw error;
+
+            const delay = getClaudeRetryDelay(error, attempt);
+            console.log(`[Sentiment] Claude API ${error.status || 'connection error'}, retry ${attempt + 1}/${CLAUDE_MAX_RETRIES} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Оценки результатов через Claude группами по CLAUDE_BATCH_SIZE, не более CLAUDE_CONCURRENCY запросов одновременно.
+// Возвращает { sentiment, explanation, confidence } по порядку items; результаты, которые модель не оценила
+// (ошибка запроса, неполный ответ), анализируются локально
+async function analyzeSentimentItemsWithClaude(client, items, subject, onProgress = null, lexicon = null, claudeContext = null) {
+    claudeContext = { settings: claudeContext?.settings || getClaudeSettings(), query: claudeContext?.query || '' };
+    const analyses = new Array(items.length).fill(null);
+    const chunkStarts = [];
+    for (let start = 0; start < items.length; start += CLAUDE_BATCH_SIZE) {
+        chunkStarts.push(start);
+    }
+
+    let nextChunk = 0;
+    let processed = 0;
+
+    const worker = async () => {
+        while (nextChunk < chunkStarts.length) {
+            const start = chunkStarts[nextChunk++];
+            const chunk = items.slice(start, start + CLAUDE_BATCH_SIZE);
+
+            try {
+                const chunkAnalyses = await analyzeSentimentChunkWithClaude(client, chunk, subject, claudeContext);
+                chunkAnalyses.forEach((analysis, i) => { analyses[start + i] = analysis; });
+            } catch (error) {
+                console.error(`[Sentiment] Claude batch error (${chunk.length} results):`, error.message);
+            }
+
+            processed += chunk.length;
+            if (onProgress) onProgress(processed / items.length, `Анализ ${processed}/${items.length}...`);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CLAUDE_CONCURRENCY, chunkStarts.length) }, worker));
+
+    const unrated = analyses.filter(analysis => !analysis).length;
+    if (unrated > 0) {
+        console.log(`[Sentiment] Claude did not rate ${unrated}/${items.length} results, using local analysis for them`);
+    }
+
+    return analyses.map((analysis, i) => analysis || {
+        sentiment: analyzeSentiment(items[i].title, getAnalysisSnippet(items[i]), '', subject, lexicon),
+        explanation: 'Локальный анализ (Claude не вернул оценку)',
+        confidence: 0.3,
+        source: 'lexicon'
+    });
+}
+
+// Вердикт релевантности из ответа Claude заменяет вердикт локальных правил (см. result-relevance.js)
+function getClaudeRelevance(analysis) {
+    if (!analysis.relevance) return {};
+    return {
+        relevance: analysis.relevance,
+        relevanceConfidence: analysis.confidence,
+        relevanceComment: 'Оценка Claude',
+        relevanceSource: 'claude'
+    };
+}
+
 // Батчевый анализ тональности (для оптимизации API вызовов)
-async function analyzeSentimentBatch(items) {
+async function analyzeSentimentBatch(items, subject = null, lexicon = null, claudeContext = null) {
     const client = getAnthropicClient();
     const config = loadConfig();
 
@@ -530,58 +645,38 @@ async function analyzeSentimentBatch(items) {
     if (!client || !config.useClaude) {
         return items.map(item => ({
             ...item,
-            sentiment: analyzeSentiment(item.title, item.snippet),
+            sentiment: analyzeSentiment(item.title, getAnalysisSnippet(item), '', subject, lexicon),
             sentimentExplanation: 'Локальный анализ',
-            sentimentConfidence: 0.5
+            sentimentConfidence: 0.5,
+            sentimentSource: 'lexicon'
         }));
     }
 
-    // Анализируем каждый элемент через Claude (с задержкой для rate limit)
-    const results = [];
-    for (const item of items) {
-        const analysis = await analyzeSentimentWithClaude(item.title, item.snippet, item.url);
-        results.push({
-            ...item,
-            sentiment: analysis.sentiment,
-            sentimentExplanation: analysis.explanation,
-            sentimentConfidence: analysis.confidence
-        });
-        // Небольшая задержка между запросами
-        await new Promise(resolve => setTimeout(resolve, 100));
-    }
+    const analyses = await analyzeSentimentItemsWithClaude(client, items, subject, null, lexicon, claudeContext);
 
-    return results;
+    return items.map((item, i) => ({
+        ...item,
+        sentiment: analyses[i].sentiment,
+        sentimentExplanation: analyses[i].explanation,
+        sentimentConfidence: analyses[i].confidence,
+        sentimentSource: analyses[i].source,
+        ...getClaudeRelevance(analyses[i])
+    }));
 }
 
 // Генерация комментария к тональности (безопасная версия)
-function generateSentimentExplanation(title, snippet, domain, sentiment) {
-    const text = ` ${title || ''} ${snippet || ''} `.toLowerCase();
-    const textWords = text.split(/[^а-яёa-z0-9]+/i).filter(w => w.length > 0).slice(0, 200);
-
-    const foundPositive = [];
-    const foundNegative = [];
-
-    // Проверяем каждое слово текста
-    for (const word of textWords) {
-        // Ищем позитивные
-        for (const [keyword, weight] of Object.entries(SENTIMENT_WORDS.positive)) {
-            if (word.startsWith(keyword)) {
-                foundPositive.push({ word, weight });
-                break;
-            }
-        }
-        // Ищем негативные
-        for (const [keyword, weight] of Object.entries(SENTIMENT_WORDS.negative)) {
-            if (word.startsWith(keyword)) {
-                foundNegative.push({ word, weight });
-                break;
-            }
-        }
-    }
+function generateSentimentExplanation(title, snippet, domain, sentiment, subject = null, lexicon = null, domains = null) {
+    const { tokens, markers } = sentimentAnalyzer.findMarkers(title, snippet, lexicon || sentimentLexicon.DEFAULT_LEXICON);
+
+    // Маркеры по итоговому знаку: "не рекомендую" - негатив, "не мошенник" (отрицание) не учитывается
+    const foundPositive = markers.filter(m => sentimentAnalyzer.markerPolarity(m) === 'positive');
+    const foundNegative = markers.filter(m => sentimentAnalyzer.markerPolarity(m) === 'negative');
+
+    const victim = !!subject && foundNegative.length > 0 && getSubjectContext(tokens.map(token => token.word), subject).victim;
 
     // Сортировка по весу
-    foundPositive.sort((a, b) => b.weight - a.weight);
-    foundNegative.sort((a, b) => b.weight - a.weight);
+    foundPositive.sort((a, b) => b.score - a.score);
+    foundNegative.sort((a, b) => b.score - a.score);
 
     // Формирование комментария
     let comment = '';
@@ -601,11 +696,8 @@ function generateSentimentExplanation(title, snippet, domain, sentiment) {
             comment = 'Общий негативный тон публикации';
         }
 
-        // Добавляем информацию о домене если он негативный
-        const domainBias = DOMAIN_BIAS[domain];
-        if (domainBias && domainBias < 0) {
-            comment += ` | Источник: компроматный ресурс`;
-        }
+    } else if (victim) {
+        comment = `${subject.name}: пострадавшая сторона, негатив относится к третьим лицам`;
     } else {
         if (foundPositive.length === 0 && foundNegative.length === 0) {
             comment = 'Нейтральная информационная публикация';
@@ -614,453 +706,542 @@ function generateSentimentExplanation(title, snippet, domain, sentiment) {
         }
     }
 
-    return comment;
-}
-
-// XMLStock Google API parser
-async function parseGoogleXmlStock(query, depth, region) {
-    const results = [];
-    const credentials = getXmlStockCredentials();
+    if (victim && sentiment !== 'neutral') {
+        comment += ` | ${subject.name}: пострадавшая сторона`;
+    }
 
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock credentials not configured');
-        return results;
+    // Источник из справочника доменов: собственный, дружественный, враждебный или компроматный ресурс
+    const source = describeDomainSource(getDomainEntry(domain, domains), sentiment);
+    if (source) {
+        comment += ` | Источник: ${source}`;
     }
 
-    const regionInfo = REGIONS[region] || REGIONS['ru'];
-    const resultsPerPage = 10;
-    const pages = Math.ceil(depth / resultsPerPage);
+    return comment;
+}
 
-    for (let page = 0; page < pages && results.length < depth; page++) {
-        const params = new URLSearchParams({
-            user: credentials.user,
-            key: credentials.key,
-            query: query,
-            page: page.toString(),
-            domain: 'ru',
-            lr: regionInfo.yandexLr || '225',
-            device: 'desktop'
-        });
+// SERP providers (see serp-providers.js)
+const SERP_FIXTURES_DIR = path.join(DATA_DIR, 'fixtures', 'serp');
+const SERP_ARCHIVE_DIR = path.join(DATA_DIR, 'serp-archive');
+const DEFAULT_SERP_CACHE_TTL_HOURS = 24;
+// XMLStock price per 1000 requests in RUB, overridden by config.serp.pricing
+const DEFAULT_SERP_PRICING = { google: 35, yandex: 25 };
 
-        const searchUrl = `${XMLSTOCK_CONFIG.googleUrl}?${params.toString()}`;
+function getSerpSettings() {
+    const config = loadConfig();
+    return {
+        provider: process.env.SERP_PROVIDER || config.serp?.provider || 'xmlstock',
+        providerFromEnv: !!process.env.SERP_PROVIDER,
+        fixturesDir: config.serp?.fixturesDir ? path.resolve(DATA_DIR, config.serp.fixturesDir) : SERP_FIXTURES_DIR,
+        recordFixtures: !!config.serp?.recordFixtures,
+        countFeatures: !!config.serp?.countFeatures,
+        pricing: { ...DEFAULT_SERP_PRICING, ...config.serp?.pricing },
+        // The cache reuses archived responses, so it works only with the archive enabled
+        archiveResponses: config.serp?.archiveResponses !== false,
+        archiveDir: config.serp?.archiveDir ? path.resolve(DATA_DIR, config.serp.archiveDir) : SERP_ARCHIVE_DIR,
+        cacheTtlHours: config.serp?.cacheTtlHours ?? DEFAULT_SERP_CACHE_TTL_HOURS
+    };
+}
 
-        try {
-            console.log(`XMLStock Google request page ${page + 1}/${pages}`);
-            const response = await axios.get(searchUrl, { timeout: 30000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
-
-            // Parse XMLStock response (Yandex XML format)
-            $('group').each((index, element) => {
-                if (results.length >= depth) return false;
-
-                const doc = $(element).find('doc').first();
-                const url = doc.find('url').first().text().trim();
-                let title = doc.find('title').first().text().trim();
-                let snippet = doc.find('passages passage').first().text().trim() ||
-                             doc.find('headline').text().trim() || '';
-
-                // Remove hlword tags from title and snippet
-                title = title.replace(/<\/?hlword>/g, '');
-                snippet = snippet.replace(/<\/?hlword>/g, '');
-
-                if (url && title) {
-                    const domain = extractDomain(url);
-                    const type = determineContentType(url, title);
-                    const cleanTitle = title.replace(/<[^>]*>/g, '');
-                    const cleanSnippet = snippet.replace(/<[^>]*>/g, '').substring(0, 300);
-                    const sentiment = analyzeSentiment(cleanTitle, cleanSnippet, domain);
-                    const comment = generateSentimentExplanation(cleanTitle, cleanSnippet, domain, sentiment);
-
-                    results.push({
-                        position: results.length + 1,
-                        url: url,
-                        title: cleanTitle,
-                        snippet: cleanSnippet,
-                        domain: domain,
-                        sentiment: sentiment,
-                        sentimentComment: comment,
-                        type: type,
-                        ctr: CTR_COEFFICIENTS[results.length + 1] || 0.03
-                    });
-                }
-            });
+serpProviders.registerProvider(serpProviders.createXmlStockProvider({
+    urls: { google: XMLSTOCK_CONFIG.googleUrl, yandex: XMLSTOCK_CONFIG.yandexUrl },
+    getCredentials: getXmlStockCredentials,
+    getRecordDir: () => {
+        const settings = getSerpSettings();
+        return settings.recordFixtures ? settings.fixturesDir : null;
+    },
+    getPricing: () => getSerpSettings().pricing
+}));
+serpProviders.registerProvider(serpProviders.createFixtureProvider({
+    getFixturesDir: () => getSerpSettings().fixturesDir
+}));
+serpProviders.loadCustomProviders(loadConfig().serp?.providers);
 
-            // Small delay between pages
-            if (page < pages - 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
+// Active provider; throws when it is unknown or does not support the engine
+function getSerpProvider(engine = null) {
+    const { provider: name } = getSerpSettings();
+    const provider = serpProviders.getProvider(name);
 
-        } catch (error) {
-            console.error(`XMLStock Google error (page ${page}):`, error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data?.substring?.(0, 500));
-            }
-        }
+    if (!provider) {
+        throw new Error(`Unknown SERP provider: ${name}`);
     }
+    if (engine && provider.engines && !provider.engines.includes(engine)) {
+        throw new Error(`SERP provider ${name} does not support ${engine}`);
+    }
+    return provider;
+}
 
-    return results;
+function getPagePrice(provider, engine) {
+    return provider.pricePerPage ? provider.pricePerPage(engine) : 0;
 }
 
-// XMLStock Yandex API parser
-async function parseYandexXmlStock(query, depth, region) {
-    const results = [];
-    const credentials = getXmlStockCredentials();
+// Upper bound of a parsing cost: every engine of every search loads all pages of the depth
+function estimateSerpCost(engines, depth, searches = 1) {
+    const provider = serpProviders.getProvider(getSerpSettings().provider);
+    const pages = Math.ceil(depth / serpProviders.RESULTS_PER_PAGE) * searches;
+    const cost = provider ? engines.reduce((sum, engine) => sum + pages * getPagePrice(provider, engine), 0) : 0;
 
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock credentials not configured');
-        return results;
-    }
+    return {
+        provider: provider?.name || null,
+        requests: pages * engines.length,
+        cost: Math.round(cost * 100) / 100,
+        currency: 'RUB'
+    };
+}
 
-    const regionInfo = REGIONS[region] || REGIONS['ru'];
-    const resultsPerPage = 10;
-    const pages = Math.ceil(depth / resultsPerPage);
+// Monthly budget state of a project; a budget of 0 or null means no limit
+function getProjectBudget(project) {
+    const monthlyBudget = project.monthlyBudget || null;
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+    const spent = storage.getSerpSpend({ projectId: project.id, from: monthStart.toISOString() }).total.cost;
 
-    for (let page = 0; page < pages && results.length < depth; page++) {
-        const params = new URLSearchParams({
-            user: credentials.user,
-            key: credentials.key,
-            query: query,
-            page: page.toString(),
-            lr: regionInfo.yandexLr || '225',
-            l10n: 'ru',
-            sortby: 'rlv',
-            filter: 'none',
-            groupby: `attr=d.mode=deep.groups-on-page=${resultsPerPage}.docs-in-group=1`
-        });
+    return {
+        monthlyBudget,
+        spent: Math.round(spent * 100) / 100,
+        remaining: monthlyBudget ? Math.max(0, Math.round((monthlyBudget - spent) * 100) / 100) : null,
+        exceeded: !!monthlyBudget && spent >= monthlyBudget,
+        currency: 'RUB'
+    };
+}
 
-        const searchUrl = `${XMLSTOCK_CONFIG.yandexUrl}?${params.toString()}`;
+// Error message when the project budget does not allow new searches, null otherwise
+function checkProjectBudget(project) {
+    const budget = getProjectBudget(project);
+    return budget.exceeded
+        ? `Monthly budget of project "${project.name}" is exhausted: spent ${budget.spent} of ${budget.monthlyBudget} RUB`
+        : null;
+}
 
-        try {
-            console.log(`XMLStock Yandex request page ${page + 1}/${pages}`);
-            const response = await axios.get(searchUrl, { timeout: 30000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
-
-            // Parse Yandex XML response
-            $('group').each((index, element) => {
-                if (results.length >= depth) return false;
-
-                const doc = $(element).find('doc').first();
-                const url = doc.find('url').first().text().trim();
-                let title = doc.find('title').first().text().trim();
-                let snippet = doc.find('passages passage').first().text().trim() ||
-                             doc.find('headline').text().trim() || '';
-
-                // Remove hlword tags from title and snippet
-                title = title.replace(/<\/?hlword>/g, '');
-                snippet = snippet.replace(/<\/?hlword>/g, '');
-
-                if (url && title) {
-                    const domain = extractDomain(url);
-                    const type = determineContentType(url, title);
-                    const cleanTitle = title.replace(/<[^>]*>/g, '');
-                    const cleanSnippet = snippet.replace(/<[^>]*>/g, '').substring(0, 300);
-                    const sentiment = analyzeSentiment(cleanTitle, cleanSnippet, domain);
-                    const comment = generateSentimentExplanation(cleanTitle, cleanSnippet, domain, sentiment);
-
-                    results.push({
-                        position: results.length + 1,
-                        url: url,
-                        title: cleanTitle,
-                        snippet: cleanSnippet,
-                        domain: domain,
-                        sentiment: sentiment,
-                        sentimentComment: comment,
-                        type: type,
-                        ctr: CTR_COEFFICIENTS[results.length + 1] || 0.03
-                    });
-                }
-            });
+const SERP_NOT_CONFIGURED_ERROR = { cause: 'bad_key', message: 'SERP provider not configured', retryable: false };
 
-            // Small delay between pages
-            if (page < pages - 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
+function isSerpProviderConfigured() {
+    const provider = serpProviders.getProvider(getSerpSettings().provider);
+    return !!provider && serpProviders.isProviderConfigured(provider);
+}
 
-        } catch (error) {
-            console.error(`XMLStock Yandex error (page ${page}):`, error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data?.substring?.(0, 500));
-            }
-        }
-    }
+// Completeness of an engine result: complete, partial (some pages failed) or failed (nothing loaded because of an error)
+function buildCompleteness(resultsCount, failedPages = [], error = null) {
+    const status = failedPages.length === 0 && !error ? 'complete'
+        : resultsCount > 0 ? 'partial' : 'failed';
+
+    return {
+        status,
+        failedPages,
+        error: error ? { cause: error.cause, code: error.code || null, message: error.message, retryable: !!error.retryable } : null
+    };
+}
 
-    return results;
+// Normalize provider results and feature blocks
+function normalizeSerp(results, features, depth) {
+    return {
+        results: results.slice(0, depth).map((item, index) => ({
+            position: index + 1,
+            url: item.url,
+            title: item.title,
+            snippet: (item.snippet || '').substring(0, 300),
+            domain: extractDomain(item.url),
+            type: determineContentType(item.url, item.title)
+        })),
+        features: (features || []).map(feature => ({
+            type: feature.type,
+            position: feature.position || null,
+            title: feature.title || '',
+            url: feature.url || '',
+            snippet: (feature.snippet || '').substring(0, 300),
+            domain: feature.url ? extractDomain(feature.url) : '',
+            items: (feature.items || []).map(item => ({
+                url: item.url || '',
+                title: item.title || '',
+                snippet: (item.snippet || '').substring(0, 300),
+                domain: item.url ? extractDomain(item.url) : ''
+            }))
+        }))
+    };
 }
 
-// Main search function - XMLStock API
-async function realSearch(query, engine, depth, region = 'ru') {
-    console.log(`Starting XMLStock search: engine=${engine}, query="${query}", depth=${depth}, region=${region}`);
+// Complete archived search with the same parameters within the cache TTL, null on miss
+function findCachedSearch(key) {
+    const settings = getSerpSettings();
+    if (!key || !settings.archiveResponses || !(settings.cacheTtlHours > 0)) return null;
 
-    const credentials = getXmlStockCredentials();
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock API credentials not set! Configure in /api/config or set XMLSTOCK_USER and XMLSTOCK_KEY env vars');
-        return [];
-    }
+    const since = new Date(Date.now() - settings.cacheTtlHours * 60 * 60 * 1000).toISOString();
+    const entry = storage.findCachedSerpArchive(key, since);
+    const raw = entry ? serpArchive.readResponses(serpArchive.archivePath(settings.archiveDir, entry)) : [];
 
-    let results = [];
+    return raw.length > 0 ? { entry, raw } : null;
+}
+
+// Save raw responses to the archive; returns the archive entry or null
+function archiveSearch(key, { provider, engine, query, region, device, depth, request, raw, complete }) {
+    const settings = getSerpSettings();
+    if (!key || !settings.archiveResponses || !raw?.length) return null;
+
+    const entry = {
+        id: uuidv4(),
+        cacheKey: key,
+        date: new Date().toISOString(),
+        provider,
+        engine,
+        query,
+        complete,
+        region,
+        device,
+        depth,
+        request: request || {},
+        pages: raw.map(r => r.page)
+    };
 
     try {
-        if (engine === 'google') {
-            results = await parseGoogleXmlStock(query, depth, region);
-        } else if (engine === 'yandex') {
-            results = await parseYandexXmlStock(query, depth, region);
-        }
+        serpArchive.writeResponses(serpArchive.archivePath(settings.archiveDir, entry), raw);
+        storage.addSerpArchive(entry);
+        return entry;
     } catch (error) {
-        console.error(`Search error for ${engine}:`, error.message);
+        console.error(`[SERP] Failed to archive ${engine} "${query}":`, error.message);
+        return null;
     }
+}
 
-    console.log(`Got ${results.length}/${depth} results from ${engine}`);
+// Search through the active provider; every search is recorded in the spend log with context { projectId, entityId, source }.
+// Identical searches within the cache TTL are answered from the archive unless context.fresh is set.
+// Returns { results: [{ position, url, title, snippet, domain, type }], features: [{ type, position, title, url, snippet, domain, items }],
+//           search: { provider, region, device, params, archive: { id, pages }, cachedAt }, completeness: { status, failedPages, error } }
+async function searchSerp(query, engine, depth, region = 'ru', device = 'desktop', onProgress = null, context = null) {
+    const provider = getSerpProvider(engine);
+    const regionInfo = getRegionInfo(region);
+    // Only responses the provider can parse again are archived and cached
+    const key = provider.parseRaw
+        ? serpArchive.cacheKey({ provider: provider.name, engine, query, region: regionInfo, device, depth })
+        : null;
+
+    const cached = context?.fresh ? null : findCachedSearch(key);
+    if (cached) {
+        console.log(`[SERP] Cache hit for ${engine} "${query}" (${regionInfo.code}, ${device}) from ${cached.entry.date}`);
+        const parsed = provider.parseRaw(cached.raw);
 
-    // Ensure positions are correct
-    results = results.map((r, i) => ({
-        ...r,
-        position: i + 1,
-        ctr: CTR_COEFFICIENTS[i + 1] || 0.03
-    }));
+        return {
+            ...normalizeSerp(parsed.results, parsed.features, depth),
+            search: {
+                provider: provider.name,
+                region: regionInfo.code,
+                device,
+                params: cached.entry.request || {},
+                archive: { id: cached.entry.id, pages: cached.raw.map(r => r.page) },
+                cachedAt: cached.entry.date
+            },
+            completeness: buildCompleteness(parsed.results.length)
+        };
+    }
 
-    // Apply Claude sentiment analysis if enabled
-    const config = loadConfig();
-    if (config.useClaude && config.claudeApiKey && results.length > 0) {
-        console.log(`[Sentiment] Applying Claude analysis to ${results.length} results...`);
-        try {
-            results = await analyzeSentimentBatch(results);
-            console.log('[Sentiment] Claude analysis completed');
-        } catch (error) {
-            console.error('[Sentiment] Claude batch analysis error:', error.message);
+    const { results, features = [], request, failedPages = [], error = null, billedPages = 0, raw } = await provider.search({
+        query,
+        engine,
+        region: regionInfo,
+        depth,
+        device,
+        onPage: (page, pages) => {
+            if (onProgress) onProgress(0.1 + (page / pages) * 0.4, `Страница ${page + 1}/${pages}...`);
         }
+    });
+
+    storage.recordSerpRequest({
+        provider: provider.name,
+        engine,
+        query,
+        pages: billedPages,
+        cost: billedPages * getPagePrice(provider, engine),
+        projectId: context?.projectId,
+        entityId: context?.entityId,
+        source: context?.source
+    });
+
+    const completeness = buildCompleteness(results.length, failedPages, error);
+    const archived = archiveSearch(key, {
+        provider: provider.name,
+        engine,
+        query,
+        region: regionInfo.code,
+        device,
+        depth,
+        request,
+        raw,
+        complete: completeness.status === 'complete'
+    });
+
+    return {
+        ...normalizeSerp(results, features, depth),
+        // Stored with the parsing so reports show exactly how the SERP was requested
+        search: {
+            provider: provider.name,
+            region: regionInfo.code,
+            device,
+            params: request || {},
+            archive: archived ? { id: archived.id, pages: archived.pages } : null
+        },
+        completeness
+    };
+}
+
+// Sentiment of SERP feature blocks: each item is analyzed separately (a block without items - by its own text),
+// the block is negative when any of its items is negative, positive when any is positive
+async function analyzeFeatures(features, subject = null, lexicon = null, claudeContext = null) {
+    if (features.length === 0) return features;
+
+    const units = features.map(feature => feature.items.length > 0
+        ? feature.items
+        : [{ title: feature.title, snippet: feature.snippet, url: feature.url }]);
+
+    let analyzed;
+    try {
+        analyzed = await analyzeSentimentBatch(units.flat(), subject, lexicon, claudeContext);
+    } catch (error) {
+        console.error('[Sentiment] Feature analysis error:', error.message);
+        analyzed = units.flat().map(item => ({ ...item, sentiment: analyzeSentiment(item.title, item.snippet, '', subject, lexicon) }));
     }
 
-    return results;
+    let offset = 0;
+    return features.map((feature, index) => {
+        const unitResults = analyzed.slice(offset, offset + units[index].length);
+        offset += units[index].length;
+
+        const sentiments = unitResults.map(unit => unit.sentiment);
+        const sentiment = sentiments.includes('negative') ? 'negative'
+            : sentiments.includes('positive') ? 'positive' : 'neutral';
+
+        return {
+            ...feature,
+            items: feature.items.length > 0
+                ? feature.items.map((item, i) => ({ ...item, sentiment: unitResults[i].sentiment }))
+                : feature.items,
+            sentiment,
+            ctr: feature.position ? CTR_COEFFICIENTS[feature.position] || 0.03 : 0
+        };
+    });
 }
 
-// Real search with progress callback for background parsing
-async function realSearchWithProgress(query, engine, depth, region = 'ru', onProgress = null) {
-    console.log(`Starting XMLStock search: engine=${engine}, query="${query}", depth=${depth}, region=${region}`);
+// Main search function, returns { results, features, search, completeness } (search - provider request info, null on failure)
+// context.subject - reputation subject the sentiment is evaluated for, context.lexicon - project sentiment lexicon,
+// context.domains - project domain directory, context.projectId - project of the URL label memory
+async function realSearch(query, engine, depth, region = 'ru', device = 'desktop', context = null) {
+    console.log(`Starting SERP search: provider=${getSerpSettings().provider}, engine=${engine}, query="${query}", depth=${depth}, region=${region}, device=${device}`);
 
-    const credentials = getXmlStockCredentials();
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock API credentials not set!');
-        return [];
+    if (!isSerpProviderConfigured()) {
+        console.error('SERP provider not configured! For XMLStock configure credentials in /api/config or set XMLSTOCK_USER and XMLSTOCK_KEY env vars');
+        return { results: [], features: [], search: null, completeness: buildCompleteness(0, [], SERP_NOT_CONFIGURED_ERROR) };
     }
 
     let results = [];
+    let features = [];
+    let search = null;
+    let completeness;
 
     try {
-        if (onProgress) onProgress(0.1, 'Подключение к API...');
-
-        if (engine === 'google') {
-            results = await parseGoogleXmlStockWithProgress(query, depth, region, onProgress);
-        } else if (engine === 'yandex') {
-            results = await parseYandexXmlStockWithProgress(query, depth, region, onProgress);
-        }
+        const response = await searchSerp(query, engine, depth, region, device, null, context);
+        search = response.search;
+        features = response.features;
+        completeness = response.completeness;
+        results = response.results;
     } catch (error) {
         console.error(`Search error for ${engine}:`, error.message);
+        completeness = buildCompleteness(0, [], { cause: 'unknown', message: error.message, retryable: true });
     }
 
-    console.log(`Got ${results.length}/${depth} results from ${engine}`);
+    console.log(`Got ${results.length}/${depth} results from ${engine} (${completeness.status})`);
 
-    // Ensure positions are correct
-    results = results.map((r, i) => ({
-        ...r,
-        position: i + 1,
-        ctr: CTR_COEFFICIENTS[i + 1] || 0.03
-    }));
+    return { ...await analyzeSerp(results, features, { ...context, query }), search, completeness };
+}
 
-    if (onProgress) onProgress(0.5, 'Анализ тональности...');
+// URL sentiment memory: manual labels and confident Claude ratings of a project are reused by later parsings
+// (sentimentSource: 'memory', sentimentLabel - the remembered label), these URLs are not analyzed again
+const URL_LABEL_MIN_CONFIDENCE = 0.8;
+const URL_LABEL_COMMENTS = { manual: 'Из памяти: ручная разметка', claude: 'Из памяти: оценка Claude' };
 
-    // Apply Claude sentiment analysis if enabled
-    const config = loadConfig();
-    if (config.useClaude && config.claudeApiKey && results.length > 0) {
-        console.log(`[Sentiment] Applying Claude analysis to ${results.length} results...`);
-        try {
-            results = await analyzeSentimentBatchWithProgress(results, (progress, step) => {
-                if (onProgress) onProgress(0.5 + progress * 0.5, step);
-            });
-            console.log('[Sentiment] Claude analysis completed');
-        } catch (error) {
-            console.error('[Sentiment] Claude batch analysis error:', error.message);
+function applyUrlLabels(results, projectId) {
+    if (!projectId || results.length === 0) return results;
+
+    const labels = storage.getUrlLabels(projectId, results.map(r => r.url));
+    if (labels.size === 0) return results;
+
+    return results.map(result => {
+        const label = labels.get(storage.urlLabelKey(result.url));
+        if (!label) return result;
+
+        return {
+            ...result,
+            sentiment: label.sentiment,
+            sentimentComment: URL_LABEL_COMMENTS[label.source] || 'Из памяти',
+            sentimentSource: 'memory',
+            sentimentLabel: { source: label.source, updatedAt: label.updatedAt }
+        };
+    });
+}
+
+// Runs analyze(pending) only on results without a remembered label, keeping the order
+async function analyzeUnlabeled(results, analyze) {
+    const pending = results.filter(r => r.sentimentSource !== 'memory');
+    if (pending.length === 0) return results;
+
+    const analyzed = await analyze(pending);
+    let index = 0;
+    return results.map(result => result.sentimentSource === 'memory' ? result : analyzed[index++]);
+}
+
+function rememberClaudeLabels(projectId, results) {
+    if (!projectId) return;
+
+    for (const result of results) {
+        if (result.sentimentSource === 'claude' && result.sentimentConfidence >= URL_LABEL_MIN_CONFIDENCE && result.url) {
+            storage.saveUrlLabel(projectId, {
+                url: result.url,
+                sentiment: result.sentiment,
+                source: 'claude',
+                confidence: result.sentimentConfidence
+            });
         }
-    } else {
-        // Local sentiment analysis
-        if (onProgress) onProgress(0.8, 'Локальный анализ...');
-        results = results.map(item => ({
-            ...item,
-            sentiment: analyzeSentiment(item.title, item.snippet),
-            sentimentExplanation: 'Локальный анализ',
-            sentimentConfidence: 0.5
-        }));
     }
+}
 
-    if (onProgress) onProgress(1, 'Поиск завершен');
-    return results;
+// Page fetch settings (see page-fetcher.js), managed via /api/config/page-fetch
+function getPageFetchSettings() {
+    return { ...pageFetcher.DEFAULT_PAGE_FETCH_SETTINGS, ...loadConfig().pageFetch };
 }
 
-// Google parsing with progress
-async function parseGoogleXmlStockWithProgress(query, depth, region, onProgress) {
-    const results = [];
-    const credentials = getXmlStockCredentials();
+// Optional fetch stage: downloads pages of results without a remembered label, their text and comments
+// (pageText, pageComments) are analyzed together with the snippet; pageFetch - status of the download
+async function fetchResultPages(results, onProgress = null) {
+    const settings = getPageFetchSettings();
+    if (!settings.enabled) return results;
+
+    return analyzeUnlabeled(results, async pending => {
+        const fetched = await pageFetcher.fetchPages(pending, settings, onProgress);
+        const failed = fetched.filter(item => item.pageFetch.status !== 'ok').length;
+        console.log(`[Pages] Fetched ${fetched.length - failed}/${fetched.length} result pages`);
+        return fetched;
+    });
+}
 
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock credentials not configured');
-        return results;
-    }
+// Content type and relation (owned, friendly, hostile) of results from the domain directory
+function applyDomainDirectory(results, domains = null) {
+    domains = domains || getProjectDomains(null);
 
-    const regionInfo = REGIONS[region] || REGIONS['ru'];
-    const resultsPerPage = 10;
-    const pages = Math.ceil(depth / resultsPerPage);
+    return results.map(item => {
+        const entry = getDomainEntry(item.domain, domains);
+        return {
+            ...item,
+            type: determineContentType(item.url || '', item.title, entry),
+            ...(entry && entry.relation !== 'neutral' ? { domainRelation: entry.relation } : {})
+        };
+    });
+}
 
-    for (let page = 0; page < pages && results.length < depth; page++) {
-        if (onProgress) {
-            const progress = 0.1 + (page / pages) * 0.4;
-            onProgress(progress, `Страница ${page + 1}/${pages}...`);
-        }
+// Claude settings of the project and the search query for the prompt templates
+function getClaudeContext(context) {
+    return { settings: getClaudeSettings(context?.projectId), query: context?.query || '' };
+}
 
-        const params = new URLSearchParams({
-            user: credentials.user,
-            key: credentials.key,
-            query: query,
-            page: page.toString(),
-            domain: 'ru',
-            lr: regionInfo.yandexLr || '225',
-            device: 'desktop'
-        });
+// Local sentiment of results with the explanation of the lexicon markers found
+function analyzeSentimentLocally(items, subject, lexicon, domains) {
+    return items.map(item => {
+        const snippet = getAnalysisSnippet(item);
+        const sentiment = analyzeSentiment(item.title, snippet, item.domain, subject, lexicon, domains);
+        return {
+            ...item,
+            sentiment,
+            sentimentComment: generateSentimentExplanation(item.title, snippet, item.domain, sentiment, subject, lexicon, domains),
+            sentimentSource: 'lexicon'
+        };
+    });
+}
 
-        const searchUrl = `${XMLSTOCK_CONFIG.googleUrl}?${params.toString()}`;
+// Positions, CTR, relevance and sentiment of normalized SERP results and feature blocks, shared by instant searches
+// and background parsing: domain directory, remembered URL labels, page fetch, relevance rules, then sentiment of
+// the results without a label - Claude when enabled, the local analyzer when it is off or fails.
+// context: { subject, lexicon, domains, projectId, query } - remembered URL labels of the project are applied before any analysis
+// onProgress(share, step) - share of the analysis done, 0..1
+async function analyzeSerp(results, features, context = null, onProgress = null) {
+    const subject = context?.subject || null;
+    const lexicon = context?.lexicon || null;
+    const domains = context?.domains || getProjectDomains(context?.projectId);
+    const claudeContext = getClaudeContext(context);
+    const report = (share, step) => {
+        if (onProgress) onProgress(share, step);
+    };
 
-        try {
-            console.log(`XMLStock Google request page ${page + 1}/${pages}`);
-            const response = await axios.get(searchUrl, { timeout: 30000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
-
-            // Parse XMLStock response
-            $('group').each((index, element) => {
-                if (results.length >= depth) return false;
-
-                const doc = $(element).find('doc').first();
-                const url = doc.find('url').first().text().trim();
-                let title = doc.find('title').first().text().trim();
-                let snippet = doc.find('passages passage').first().text().trim() ||
-                             doc.find('headline').text().trim() || '';
-
-                // Remove hlword tags
-                title = title.replace(/<\/?hlword>/g, '');
-                snippet = snippet.replace(/<\/?hlword>/g, '');
-
-                if (url && title) {
-                    const domain = extractDomain(url);
-                    const type = determineContentType(url, title);
-                    const cleanTitle = title.replace(/<[^>]*>/g, '');
-                    const cleanSnippet = snippet.replace(/<[^>]*>/g, '').substring(0, 300);
-
-                    results.push({
-                        position: results.length + 1,
-                        url: url,
-                        title: cleanTitle,
-                        snippet: cleanSnippet,
-                        domain: domain,
-                        type: type
-                    });
-                }
-            });
+    results = applyUrlLabels(applyDomainDirectory(results, domains).map((item, i) => ({
+        ...item,
+        position: i + 1,
+        ctr: CTR_COEFFICIENTS[i + 1] || 0.03
+    })), context?.projectId);
+    results = await fetchResultPages(results, (progress, step) => report(0, step));
+    results = resultRelevance.applyRelevanceRules(results, subject);
 
-            if (page < pages - 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
+    report(0, 'Анализ тональности...');
 
+    // Apply Claude sentiment analysis if enabled
+    const config = loadConfig();
+    const unlabeled = results.filter(r => r.sentimentSource !== 'memory').length;
+    let analyzedByClaude = false;
+    if (config.useClaude && config.claudeApiKey && unlabeled > 0) {
+        console.log(`[Sentiment] Applying Claude analysis to ${unlabeled} results...`);
+        try {
+            results = await analyzeUnlabeled(results, pending => analyzeSentimentBatchWithProgress(pending,
+                (progress, step) => report(progress * 0.9, step), subject, lexicon, claudeContext));
+            rememberClaudeLabels(context?.projectId, results);
+            analyzedByClaude = true;
+            console.log('[Sentiment] Claude analysis completed');
         } catch (error) {
-            console.error(`XMLStock Google error (page ${page}):`, error.message);
+            console.error('[Sentiment] Claude batch analysis error:', error.message);
         }
     }
 
-    return results;
-}
-
-// Yandex parsing with progress
-async function parseYandexXmlStockWithProgress(query, depth, region, onProgress) {
-    const results = [];
-    const credentials = getXmlStockCredentials();
-
-    if (!credentials.user || !credentials.key) {
-        console.error('XMLStock credentials not configured');
-        return results;
+    if (!analyzedByClaude) {
+        report(0.6, 'Локальный анализ...');
+        results = await analyzeUnlabeled(results, async pending => analyzeSentimentLocally(pending, subject, lexicon, domains));
     }
 
-    const regionInfo = REGIONS[region] || REGIONS['ru'];
-    const resultsPerPage = 10;
-    const pages = Math.ceil(depth / resultsPerPage);
+    if (features.length > 0) {
+        report(0.9, 'Анализ блоков выдачи...');
+        features = await analyzeFeatures(features, subject, lexicon, claudeContext);
+    }
 
-    for (let page = 0; page < pages && results.length < depth; page++) {
-        if (onProgress) {
-            const progress = 0.1 + (page / pages) * 0.4;
-            onProgress(progress, `Страница ${page + 1}/${pages}...`);
-        }
+    return { results, features };
+}
 
-        const params = new URLSearchParams({
-            user: credentials.user,
-            key: credentials.key,
-            query: query,
-            page: page.toString(),
-            lr: regionInfo.yandexLr || '225',
-            l10n: 'ru',
-            sortby: 'rlv',
-            filter: 'none',
-            groupby: `attr=d.mode=deep.groups-on-page=${resultsPerPage}.docs-in-group=1`
-        });
+// Real search with progress callback for background parsing, returns { results, features, search, completeness }
+async function realSearchWithProgress(query, engine, depth, region = 'ru', device = 'desktop', onProgress = null, context = null) {
+    console.log(`Starting SERP search: provider=${getSerpSettings().provider}, engine=${engine}, query="${query}", depth=${depth}, region=${region}, device=${device}`);
 
-        const searchUrl = `${XMLSTOCK_CONFIG.yandexUrl}?${params.toString()}`;
+    if (!isSerpProviderConfigured()) {
+        console.error('SERP provider not configured!');
+        return { results: [], features: [], search: null, completeness: buildCompleteness(0, [], SERP_NOT_CONFIGURED_ERROR) };
+    }
 
-        try {
-            console.log(`XMLStock Yandex request page ${page + 1}/${pages}`);
-            const response = await axios.get(searchUrl, { timeout: 30000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
-
-            // Parse Yandex XML response
-            $('group').each((index, element) => {
-                if (results.length >= depth) return false;
-
-                const doc = $(element).find('doc').first();
-                const url = doc.find('url').first().text().trim();
-                let title = doc.find('title').first().text().trim();
-                let snippet = doc.find('passages passage').first().text().trim() ||
-                             doc.find('headline').text().trim() || '';
-
-                // Remove hlword tags
-                title = title.replace(/<\/?hlword>/g, '');
-                snippet = snippet.replace(/<\/?hlword>/g, '');
-
-                if (url && title) {
-                    const domain = extractDomain(url);
-                    const type = determineContentType(url, title);
-                    const cleanTitle = title.replace(/<[^>]*>/g, '');
-                    const cleanSnippet = snippet.replace(/<[^>]*>/g, '').substring(0, 300);
-
-                    results.push({
-                        position: results.length + 1,
-                        url: url,
-                        title: cleanTitle,
-                        snippet: cleanSnippet,
-                        domain: domain,
-                        type: type
-                    });
-                }
-            });
+    let results = [];
+    let features = [];
+    let search = null;
+    let completeness;
 
-            if (page < pages - 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
+    try {
+        if (onProgress) onProgress(0.1, 'Подключение к API...');
 
-        } catch (error) {
-            console.error(`XMLStock Yandex error (page ${page}):`, error.message);
-        }
+        ({ results, features, search, completeness } = await searchSerp(query, engine, depth, region, device, onProgress, context));
+    } catch (error) {
+        console.error(`Search error for ${engine}:`, error.message);
+        completeness = buildCompleteness(0, [], { cause: 'unknown', message: error.message, retryable: true });
     }
 
-    return results;
+    console.log(`Got ${results.length}/${depth} results from ${engine} (${completeness.status})`);
+
+    ({ results, features } = await analyzeSerp(results, features, { ...context, query }, (share, step) => {
+        if (onProgress) onProgress(0.5 + share * 0.5, step);
+    }));
+
+    if (onProgress) onProgress(1, 'Поиск завершен');
+    return { results, features, search, completeness };
 }
 
 // Sentiment batch with progress
-async function analyzeSentimentBatchWithProgress(items, onProgress = null) {
+async function analyzeSentimentBatchWithProgress(items, onProgress = null, subject = null, lexicon = null, claudeContext = null) {
     const client = getAnthropicClient();
     const config = loadConfig();
 
@@ -1068,60 +1249,78 @@ async function analyzeSentimentBatchWithProgress(items, onProgress = null) {
     if (!client || !config.useClaude) {
         return items.map(item => ({
             ...item,
-            sentiment: analyzeSentiment(item.title, item.snippet),
+            sentiment: analyzeSentiment(item.title, getAnalysisSnippet(item), '', subject, lexicon),
             sentimentExplanation: 'Локальный анализ',
-            sentimentConfidence: 0.5
+            sentimentConfidence: 0.5,
+            sentimentSource: 'lexicon'
         }));
     }
 
-    const results = [];
-    const total = items.length;
+    if (onProgress) onProgress(0, `Анализ 0/${items.length}...`);
+    const analyses = await analyzeSentimentItemsWithClaude(client, items, subject, onProgress, lexicon, claudeContext);
+
+    if (onProgress) onProgress(1, 'Анализ завершен');
+    return items.map((item, i) => ({
+        ...item,
+        sentiment: analyses[i].sentiment,
+        sentimentComment: analyses[i].explanation,
+        sentimentConfidence: analyses[i].confidence,
+        sentimentSource: analyses[i].source,
+        ...getClaudeRelevance(analyses[i])
+    }));
+}
+
+// Deep sentiment analysis: Claude evaluates a result with reasoning, impact and keywords.
+// The result sentiment is overridden only when the confidence is high enough.
+const DEEP_SENTIMENT_MIN_CONFIDENCE = 0.7;
+const DEEP_SENTIMENT_IMPACTS = ['high', 'medium', 'low'];
+const DEEP_SENTIMENT_DELAY = 150;
 
-    for (let i = 0; i < items.length; i++) {
-        const item = items[i];
+// Returns { sentiment, confidence, reasoning, impact, keywords }; throws on API errors
+// settings - Claude settings of the project (getClaudeSettings), global ones by default
+async function analyzeSentimentDeep(result, query, subject, settings = null) {
+    const client = getAnthropicClient();
+    settings = settings || getClaudeSettings();
 
-        if (onProgress) {
-            const progress = i / total;
-            onProgress(progress, `Анализ ${i + 1}/${total}...`);
-        }
+    const prompt = claudePrompts.buildDeepPrompt(settings.templates, result, { subject, query });
 
-        try {
-            const analysis = await analyzeSentimentWithClaude(item.title, item.snippet, item.url);
-            results.push({
-                ...item,
-                sentiment: analysis.sentiment,
-                sentimentComment: analysis.explanation,
-                sentimentConfidence: analysis.confidence
-            });
-        } catch (error) {
-            // Fallback to local
-            results.push({
-                ...item,
-                sentiment: analyzeSentiment(item.title, item.snippet),
-                sentimentComment: 'Локальный анализ (ошибка API)',
-                sentimentConfidence: 0.3
-            });
-        }
-    }
+    const response = await client.messages.create(buildClaudeRequest(settings, settings.maxTokens + 100, prompt));
 
-    if (onProgress) onProgress(1, 'Анализ завершен');
-    return results;
+    const parsed = parseClaudeJson(response.content[0].text);
+    return {
+        sentiment: ['positive', 'negative', 'neutral'].includes(parsed.sentiment) ? parsed.sentiment : 'neutral',
+        confidence: typeof parsed.confidence === 'number' ? parsed.confidence : 0.5,
+        reasoning: parsed.reasoning || '',
+        impact: DEEP_SENTIMENT_IMPACTS.includes(parsed.impact) ? parsed.impact : 'medium',
+        keywords: Array.isArray(parsed.keywords) ? parsed.keywords : []
+    };
 }
 
 // Calculate metrics with progress (wrapper)
-async function calculateMetricsWithProgress(results, onProgress = null) {
+async function calculateMetricsWithProgress(results, features = [], onProgress = null) {
     if (onProgress) onProgress(0, 'Расчет метрик...');
-    const metrics = calculateMetrics(results);
+    const metrics = calculateMetrics(results, features);
     if (onProgress) onProgress(1, 'Метрики рассчитаны');
     return metrics;
 }
 
+// Weight of a result in the rating by the impact from deep sentiment analysis (results without it - medium)
+const IMPACT_WEIGHTS = { high: 1.5, medium: 1, low: 0.5 };
+
 // Calculate CTR-weighted metrics with new formula
 // Positive: +CTR × 1, Neutral: +CTR × 0.75, Negative: -CTR × 1
 // Rating range: 0 (all negative) to 100 (all positive), 87.5 (all neutral)
-function calculateMetrics(results) {
+// SERP feature blocks in the top 10 are counted with the CTR of their position when enabled in SERP settings,
+// results with deep analysis - with the CTR multiplied by their impact weight, results not about the subject -
+// by their relevance weight (namesakes and unrelated pages are not counted, see result-relevance.js);
+// the score is then scaled back so the rating range stays the same
+function calculateMetrics(results, features = [], includeFeatures = getSerpSettings().countFeatures) {
     // Only use top 10 for rating calculation
     const top10 = results.slice(0, 10);
+    const countedFeatures = includeFeatures
+        ? (features || []).filter(f => f.position && f.position <= 10 && f.sentiment)
+        : [];
+    const organicCTR = top10.reduce((sum, result) => sum + result.ctr, 0);
 
     let positiveWeight = 0;
     let negativeWeight = 0;
@@ -1129,47 +1328,217 @@ function calculateMetrics(results) {
     let totalCTR = 0;
     let score = 0;
 
-    top10.forEach(result => {
-        totalCTR += result.ctr;
+    [...top10, ...countedFeatures].forEach(result => {
+        const weight = result.ctr * (IMPACT_WEIGHTS[result.sentimentImpact] || 1) * resultRelevance.relevanceWeight(result);
+        totalCTR += weight;
         if (result.sentiment === 'positive') {
-            positiveWeight += result.ctr;
-            score += result.ctr * 1;     // Позитив: +CTR × 1
+            positiveWeight += weight;
+            score += weight * 1;     // Позитив: +CTR × 1
         } else if (result.sentiment === 'negative') {
-            negativeWeight += result.ctr;
-            score -= result.ctr * 1;     // Негатив: -CTR × 1
+            negativeWeight += weight;
+            score -= weight * 1;     // Негатив: -CTR × 1
         } else {
-            neutralWeight += result.ctr;
-            score += result.ctr * 0.75;  // Нейтрал: +CTR × 0.75
+            neutralWeight += weight;
+            score += weight * 0.75;  // Нейтрал: +CTR × 0.75
         }
     });
 
+    // Features and impact redistribute the CTR of the organic top 10, keeping the score in -100..100
+    if (totalCTR > 0) {
+        score *= organicCTR / totalCTR;
+    }
+
+    // Nothing counted (no results, or none of the top 10 is about the subject): no rating and no risk level,
+    // a neutral 50 would look like a measured SERP
+    const rated = totalCTR > 0;
+
     // Convert score from (-100..100) to (0..100)
     // -100 -> 0, 0 -> 50, +100 -> 100
     const rating = (score + 100) / 2;
 
     // Risk level based on negative weight in top 10
-    const negativeRatio = negativeWeight / totalCTR;
+    const negativeRatio = rated ? negativeWeight / totalCTR : 0;
+
+    // Sentiment counts are of the results about the subject, the excluded ones are counted separately
+    const counted = results.filter(r => resultRelevance.relevanceWeight(r) > 0);
 
     return {
         totalResults: results.length,
-        positiveCount: results.filter(r => r.sentiment === 'positive').length,
-        negativeCount: results.filter(r => r.sentiment === 'negative').length,
-        neutralCount: results.filter(r => r.sentiment === 'neutral').length,
-        positivePercent: totalCTR > 0 ? ((positiveWeight / totalCTR) * 100).toFixed(1) : '0.0',
-        negativePercent: totalCTR > 0 ? ((negativeWeight / totalCTR) * 100).toFixed(1) : '0.0',
-        neutralPercent: totalCTR > 0 ? ((neutralWeight / totalCTR) * 100).toFixed(1) : '0.0',
-        rating: rating.toFixed(1),
-        balance: rating.toFixed(1), // deprecated, use rating
-        score: score.toFixed(1),
-        riskLevel: negativeRatio > 0.5 ? 'high' : negativeRatio > 0.3 ? 'medium' : 'low'
+        positiveCount: counted.filter(r => r.sentiment === 'positive').length,
+        negativeCount: counted.filter(r => r.sentiment === 'negative').length,
+        neutralCount: counted.filter(r => r.sentiment === 'neutral').length,
+        excludedCount: results.length - counted.length,
+        downweightedCount: counted.filter(r => resultRelevance.relevanceWeight(r) < 1).length,
+        positivePercent: rated ? ((positiveWeight / totalCTR) * 100).toFixed(1) : '0.0',
+        negativePercent: rated ? ((negativeWeight / totalCTR) * 100).toFixed(1) : '0.0',
+        neutralPercent: rated ? ((neutralWeight / totalCTR) * 100).toFixed(1) : '0.0',
+        unrated: !rated,
+        rating: rated ? rating.toFixed(1) : null,
+        balance: rated ? rating.toFixed(1) : null, // deprecated, use rating
+        score: rated ? score.toFixed(1) : null,
+        riskLevel: !rated ? null : negativeRatio > 0.5 ? 'high' : negativeRatio > 0.3 ? 'medium' : 'low',
+        featuresCount: (features || []).length,
+        negativeFeaturesCount: (features || []).filter(f => f.sentiment === 'negative').length,
+        featuresCounted: countedFeatures.length,
+        impactCounted: top10.filter(r => IMPACT_WEIGHTS[r.sentimentImpact]).length
     };
 }
 
 // API Routes
 
-// Get available regions
+// Get regions catalog
 app.get('/api/regions', (req, res) => {
-    res.json(getRegions());
+    res.json(storage.listRegions());
+});
+
+// Create region (code is generated from the name when not given)
+app.post('/api/regions', (req, res) => {
+    const region = pickRegionFields(req.body);
+    const code = String(req.body.code || transliterate(region.name || '')).trim().toLowerCase();
+
+    const validationError = validateRegion(region);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (!/^[a-z0-9-]+$/.test(code)) {
+        return res.status(400).json({ error: 'Region code may contain only latin letters, digits and dashes' });
+    }
+    if (storage.getRegion(code)) {
+        return res.status(409).json({ error: `Region with code "${code}" already exists` });
+    }
+
+    res.json(storage.saveRegion({ googleDomain: 'com', ...region, code }));
+});
+
+// Update region (code cannot be changed - projects and schedules refer to it)
+app.put('/api/regions/:code', (req, res) => {
+    const existing = storage.getRegion(req.params.code);
+    if (!existing) {
+        return res.status(404).json({ error: 'Region not found' });
+    }
+
+    const region = { ...existing, ...pickRegionFields(req.body), code: existing.code };
+    const validationError = validateRegion(region);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    res.json(storage.saveRegion(region));
+});
+
+// Delete region unless a project or schedule uses it
+app.delete('/api/regions/:code', (req, res) => {
+    const { code } = req.params;
+    if (!storage.getRegion(code)) {
+        return res.status(404).json({ error: 'Region not found' });
+    }
+
+    const scheduleProjectIds = new Set(loadSchedules().filter(s => s.region === code).map(s => s.projectId));
+    const scheduleProjects = storage.listProjects().filter(p => scheduleProjectIds.has(p.id));
+    if (scheduleProjects.length > 0) {
+        return res.status(409).json({
+            error: `Region is used in schedules of projects: ${scheduleProjects.map(p => p.name).join(', ')}`,
+            projects: scheduleProjects.map(({ id, name }) => ({ id, name }))
+        });
+    }
+
+    const { deleted, projects } = storage.deleteRegion(code);
+    if (!deleted) {
+        return res.status(409).json({
+            error: `Region is used by projects: ${projects.map(p => p.name).join(', ')}`,
+            projects
+        });
+    }
+
+    res.json({ success: true });
+});
+
+// Domain directory: global entries (/api/domains) and project overrides (/api/projects/:projectId/domains).
+// Changes apply to parsings started after them.
+const DOMAIN_ROUTES = ['/api/domains', '/api/projects/:projectId/domains'];
+
+// Project of a project-scoped domain route: undefined for global routes, null when the project does not exist
+function getDomainScope(req) {
+    if (!req.params.projectId) return undefined;
+    return storage.getProject(req.params.projectId, { withResults: false });
+}
+
+// List entries; project entries come with the global entry they override
+app.get(DOMAIN_ROUTES, (req, res) => {
+    const project = getDomainScope(req);
+    if (project === null) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({
+        entries: project
+            ? storage.listDomains(project.id).map(entry => ({ ...entry, overrides: storage.getDomain(entry.domain) }))
+            : storage.listDomains(),
+        categories: Object.keys(domainDirectory.DOMAIN_CATEGORIES),
+        relations: domainDirectory.DOMAIN_RELATIONS
+    });
+});
+
+// Add or replace an entry { domain, category, relation, bias, note }
+app.post(DOMAIN_ROUTES, (req, res) => {
+    const project = getDomainScope(req);
+    if (project === null) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const error = domainDirectory.validateDomainEntry(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.json(storage.saveDomain(domainDirectory.normalizeDomainEntry(req.body), project?.id));
+});
+
+app.delete(DOMAIN_ROUTES.map(route => `${route}/:domain`), (req, res) => {
+    const project = getDomainScope(req);
+    if (project === null) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!storage.deleteDomain(domainDirectory.normalizeDomain(req.params.domain), project?.id)) {
+        return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({ success: true });
+});
+
+// Import entries from JSON (directory entries or data/negative-platforms.json records) or CSV.
+// Body: { format: 'json' | 'csv', content, relation, overwrite } - relation of records without one (neutral by default),
+// overwrite: false keeps existing entries
+app.post(DOMAIN_ROUTES.map(route => `${route}/import`), (req, res) => {
+    const project = getDomainScope(req);
+    if (project === null) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { format = 'json', content, relation = 'neutral', overwrite = true } = req.body;
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+    if (!content) {
+        return res.status(400).json({ error: 'Import content is required' });
+    }
+    if (!domainDirectory.DOMAIN_RELATIONS.includes(relation)) {
+        return res.status(400).json({ error: `Relation must be one of: ${domainDirectory.DOMAIN_RELATIONS.join(', ')}` });
+    }
+
+    let parsed;
+    try {
+        parsed = domainDirectory.parseDomainImport(content, format, relation);
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid ${format.toUpperCase()}: ${error.message}` });
+    }
+
+    const counts = storage.importDomains(parsed.entries, project?.id, { overwrite: overwrite !== false });
+    console.log(`[Domains] Imported ${parsed.entries.length} entries${project ? ` to project ${project.name}` : ''}: ` +
+        `${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped, ${parsed.errors.length} invalid`);
+
+    res.json({ ...counts, errors: parsed.errors.slice(0, 50), invalid: parsed.errors.length });
 });
 
 // Get XMLStock config (without exposing full key)
@@ -1226,45 +1595,165 @@ app.post('/api/config', (req, res) => {
         return res.status(400).json({ error: 'User ID and API key are required' });
     }
 
-    const config = loadConfig();
-    config.xmlstock = { user, key };
-    saveConfig(config);
+    storage.updateConfig(config => {
+        config.xmlstock = { user, key };
+    });
 
     res.json({ success: true, message: 'XMLStock credentials saved' });
 });
 
+// Get SERP provider config
+app.get('/api/config/serp', (req, res) => {
+    const settings = getSerpSettings();
+    res.json({
+        provider: settings.provider,
+        providerFromEnv: settings.providerFromEnv,
+        recordFixtures: settings.recordFixtures,
+        countFeatures: settings.countFeatures,
+        pricing: settings.pricing,
+        archiveResponses: settings.archiveResponses,
+        cacheTtlHours: settings.cacheTtlHours,
+        archiveDir: settings.archiveDir,
+        fixturesDir: settings.fixturesDir,
+        providers: serpProviders.listProviders()
+    });
+});
+
+// Update SERP provider config
+app.post('/api/config/serp', (req, res) => {
+    const { provider, recordFixtures, countFeatures, pricing, archiveResponses, cacheTtlHours } = req.body;
+
+    if (provider !== undefined && !serpProviders.getProvider(provider)) {
+        return res.status(400).json({ error: `Unknown SERP provider: ${provider}` });
+    }
+    if (pricing !== undefined && Object.entries(pricing || {}).some(([engine, price]) =>
+        !DEFAULT_SERP_PRICING[engine] || !Number.isFinite(Number(price)) || Number(price) < 0)) {
+        return res.status(400).json({ error: 'Pricing must map google/yandex to a non-negative price per 1000 requests' });
+    }
+    if (cacheTtlHours !== undefined && !(Number(cacheTtlHours) >= 0)) {
+        return res.status(400).json({ error: 'Cache TTL must be a non-negative number of hours' });
+    }
+
+    const config = storage.updateConfig(config => {
+        config.serp = config.serp || {};
+        if (provider !== undefined) {
+            config.serp.provider = provider;
+        }
+        if (recordFixtures !== undefined) {
+            config.serp.recordFixtures = !!recordFixtures;
+        }
+        if (countFeatures !== undefined) {
+            config.serp.countFeatures = !!countFeatures;
+        }
+        if (archiveResponses !== undefined) {
+            config.serp.archiveResponses = !!archiveResponses;
+        }
+        if (cacheTtlHours !== undefined) {
+            config.serp.cacheTtlHours = Number(cacheTtlHours);
+        }
+        if (pricing !== undefined) {
+            config.serp.pricing = Object.fromEntries(Object.entries(pricing || {}).map(([engine, price]) => [engine, Number(price)]));
+        }
+    });
+
+    res.json({ success: true, message: 'SERP provider settings saved', serp: config.serp });
+});
+
+// Get page fetch config
+app.get('/api/config/page-fetch', (req, res) => {
+    res.json(getPageFetchSettings());
+});
+
+// Update page fetch config: { enabled, timeoutMs, maxBytes, concurrency, respectRobots, excerptLength }
+app.post('/api/config/page-fetch', (req, res) => {
+    const { enabled, timeoutMs, maxBytes, concurrency, respectRobots, excerptLength } = req.body;
+    const limits = { timeoutMs: [1000, 60000], maxBytes: [10 * 1024, 20 * 1024 * 1024], concurrency: [1, 10], excerptLength: [200, 20000] };
+    const numbers = { timeoutMs, maxBytes, concurrency, excerptLength };
+
+    for (const [field, value] of Object.entries(numbers)) {
+        if (value === undefined) continue;
+        const [min, max] = limits[field];
+        if (!Number.isInteger(Number(value)) || Number(value) < min || Number(value) > max) {
+            return res.status(400).json({ error: `${field} must be an integer from ${min} to ${max}` });
+        }
+    }
+
+    const config = storage.updateConfig(config => {
+        config.pageFetch = config.pageFetch || {};
+        if (enabled !== undefined) {
+            config.pageFetch.enabled = !!enabled;
+        }
+        if (respectRobots !== undefined) {
+            config.pageFetch.respectRobots = !!respectRobots;
+        }
+        for (const [field, value] of Object.entries(numbers)) {
+            if (value !== undefined) config.pageFetch[field] = Number(value);
+        }
+    });
+
+    res.json({ success: true, message: 'Page fetch settings saved', pageFetch: { ...pageFetcher.DEFAULT_PAGE_FETCH_SETTINGS, ...config.pageFetch } });
+});
+
 // Get Claude API config
 app.get('/api/config/claude', (req, res) => {
     const config = loadConfig();
+    const settings = getClaudeSettings();
     res.json({
         keySet: !!config.claudeApiKey,
         keyPreview: config.claudeApiKey ? config.claudeApiKey.substring(0, 12) + '...' : '',
-        useClaude: config.useClaude || false
+        useClaude: config.useClaude || false,
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        templates: settings.templates,
+        customTemplates: Object.keys(config.claude?.templates || {}),
+        models: claudePrompts.CLAUDE_MODELS,
+        placeholders: claudePrompts.TEMPLATE_PLACEHOLDERS,
+        defaults: { ...claudePrompts.DEFAULT_CLAUDE_SETTINGS, templates: claudePrompts.DEFAULT_TEMPLATES }
     });
 });
 
-// Update Claude API config
+// Update Claude API config: { apiKey, useClaude, model, temperature (null - API default), maxTokens, templates }
+// templates - { sentiment, publication, deep }, an empty template returns to the default one
 app.post('/api/config/claude', (req, res) => {
-    const { apiKey, useClaude } = req.body;
+    const { apiKey, useClaude, model, temperature, maxTokens, templates } = req.body;
 
-    const config = loadConfig();
+    const error = claudePrompts.validateClaudeSettings({ model, temperature, maxTokens })
+        || (templates !== undefined ? claudePrompts.validateTemplates(templates) : null);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const config = storage.updateConfig(config => {
+        if (apiKey !== undefined) {
+            config.claudeApiKey = apiKey;
+        }
+
+        if (useClaude !== undefined) {
+            config.useClaude = useClaude;
+        }
+
+        config.claude = config.claude || {};
+        if (model !== undefined) config.claude.model = model;
+        if (temperature !== undefined) config.claude.temperature = temperature === null || temperature === '' ? null : Number(temperature);
+        if (maxTokens !== undefined) config.claude.maxTokens = Number(maxTokens);
+        if (templates !== undefined) config.claude.templates = claudePrompts.normalizeTemplates(templates, config.claude.templates);
+    });
 
     if (apiKey !== undefined) {
-        config.claudeApiKey = apiKey;
         resetAnthropicClient(); // Reset client to use new key
     }
 
-    if (useClaude !== undefined) {
-        config.useClaude = useClaude;
-    }
-
-    saveConfig(config);
-
+    const settings = claudePrompts.resolveClaudeSettings(config.claude);
     res.json({
         success: true,
         message: 'Claude API settings saved',
         keySet: !!config.claudeApiKey,
-        useClaude: config.useClaude
+        useClaude: config.useClaude,
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        customTemplates: Object.keys(config.claude.templates || {})
     });
 });
 
@@ -1297,37 +1786,156 @@ app.post('/api/config/claude/test', asyncHandler(async (req, res) => {
     }
 }));
 
-// Get all projects
+// Try model settings and templates before saving them: renders the prompts on sample results and, unless send is false,
+// sends them to Claude. Body: { model, temperature, maxTokens, templates, kind: 'sentiment' | 'deep', projectId, entityId,
+// samples: [{ title, snippet, url, domain }], sampleCount, query, send }; without samples the latest results of the project are used
+const CLAUDE_DRY_RUN_MAX_SAMPLES = 10;
+
+app.post('/api/config/claude/dry-run', asyncHandler(async (req, res) => {
+    const { model, temperature, maxTokens, templates = {}, kind = 'sentiment', projectId, entityId, samples, send = true } = req.body;
+
+    const error = claudePrompts.validateClaudeSettings({ model, temperature, maxTokens }) || claudePrompts.validateTemplates(templates);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!['sentiment', 'deep'].includes(kind)) {
+        return res.status(400).json({ error: 'Kind must be sentiment or deep' });
+    }
+    if (samples !== undefined && (!Array.isArray(samples) || samples.length === 0 || samples.length > CLAUDE_DRY_RUN_MAX_SAMPLES
+        || !samples.every(sample => sample && (String(sample.title || '').trim() || String(sample.snippet || '').trim())))) {
+        return res.status(400).json({ error: `Samples must be 1-${CLAUDE_DRY_RUN_MAX_SAMPLES} objects with a title or a snippet` });
+    }
+
+    const project = projectId ? storage.getProject(projectId, { withResults: false }) : null;
+    if (projectId && !project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    const entity = entityId ? project?.entities.find(e => e.id === entityId) : null;
+    if (entityId && !entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const client = send ? getAnthropicClient() : null;
+    if (send && !client) {
+        return res.status(400).json({ error: 'Claude API key not configured, use send: false to render the prompts only' });
+    }
+
+    // Saved settings of the project with the tried changes on top
+    const saved = getClaudeSettings(project?.id);
+    const settings = claudePrompts.resolveClaudeSettings({
+        model: model ?? saved.model,
+        temperature: temperature === undefined ? saved.temperature : temperature === null || temperature === '' ? null : Number(temperature),
+        maxTokens: maxTokens === undefined ? saved.maxTokens : Number(maxTokens),
+        templates: saved.templates
+    }, Object.fromEntries(Object.entries(templates).filter(([, template]) => template)));
+
+    const sampleCount = Math.min(Math.max(parseInt(req.body.sampleCount) || 3, 1), CLAUDE_DRY_RUN_MAX_SAMPLES);
+    const items = samples || (project
+        ? storage.queryResults({ projectId: project.id, entityId: entity?.id, limit: sampleCount }).results
+        : [{ title: 'Компания показала отличные результаты', snippet: 'Выручка выросла на 50%, клиенты довольны сервисом', url: 'https://example.com/test' }]);
+    if (items.length === 0) {
+        return res.status(400).json({ error: 'The project has no results yet, pass samples' });
+    }
+
+    const subject = project ? sentimentSubject.resolveSubject(project, entity) : null;
+    const query = req.body.query || entity?.name || items[0].entityName || '';
+
+    const prompts = kind === 'deep'
+        ? items.map(item => claudePrompts.buildDeepPrompt(settings.templates, item, { subject, query }))
+        : [claudePrompts.buildSentimentPrompt(settings.templates, items, { subject, query, batch: true })];
+
+    let analyses = null;
+    let sendError = null;
+    if (send) {
+        try {
+            analyses = kind === 'deep'
+                ? await Promise.all(items.map(item => analyzeSentimentDeep(item, query, subject, settings)))
+                : await analyzeSentimentChunkWithClaude(client, items, subject, { settings, query });
+        } catch (error) {
+            sendError = error.message;
+        }
+    }
+
+    res.json({
+        kind,
+        request: { model: settings.model, temperature: settings.temperature, maxTokens: settings.maxTokens },
+        subject,
+        query,
+        samples: items.map(item => ({ title: item.title, snippet: item.snippet, url: item.url, domain: item.domain })),
+        prompts,
+        analyses,
+        error: sendError
+    });
+}));
+
+// Prompt templates of a project on top of the global ones: { templates, inherited, placeholders }
+app.get('/api/projects/:projectId/claude-templates', (req, res) => {
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({
+        templates: project.claudeTemplates || {},
+        inherited: getClaudeSettings().templates,
+        placeholders: claudePrompts.TEMPLATE_PLACEHOLDERS
+    });
+});
+
+// Save project templates { templates: { sentiment, publication, deep } }, an empty template inherits the global one
+app.post('/api/projects/:projectId/claude-templates', (req, res) => {
+    const error = claudePrompts.validateTemplates(req.body.templates);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const current = storage.getProject(req.params.projectId, { withResults: false });
+    if (!current) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const templates = claudePrompts.normalizeTemplates(req.body.templates, current.claudeTemplates);
+    const project = storage.updateProject(current.id, { claudeTemplates: Object.keys(templates).length > 0 ? templates : undefined });
+    res.json({ templates: project.claudeTemplates || {} });
+});
+
+// Get all projects (?summary=true returns the list without entities and parsings)
 app.get('/api/projects', (req, res) => {
-    const projects = loadProjects();
-    res.json(projects);
+    if (req.query.summary === 'true') {
+        return res.json(storage.listProjects());
+    }
+    res.json(storage.getAllProjects());
 });
 
 // Create project
 app.post('/api/projects', (req, res) => {
-    const { name, region } = req.body;
+    const { name, region, subject } = req.body;
     if (!name) {
         return res.status(400).json({ error: 'Project name is required' });
     }
+    if (region && !storage.getRegion(region)) {
+        return res.status(400).json({ error: 'Unknown region' });
+    }
+    const subjectError = subject !== undefined ? sentimentSubject.validateSubject(subject) : null;
+    if (subjectError) {
+        return res.status(400).json({ error: subjectError });
+    }
 
-    const projects = loadProjects();
-    const newProject = {
+    const newProject = storage.createProject({
         id: uuidv4(),
         name,
         region: region || 'ru',
-        createdAt: new Date().toISOString(),
-        entities: []
-    };
+        // Reputation subject of all project entities (an entity may override it)
+        subject: sentimentSubject.normalizeSubject(subject) || undefined,
+        createdAt: new Date().toISOString()
+    });
 
-    projects.push(newProject);
-    saveProjects(projects);
     res.json(newProject);
 });
 
-// Get project by ID
+// Get project by ID (?results=false omits SERP results, keeping metrics)
 app.get('/api/projects/:projectId', (req, res) => {
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+    const project = storage.getProject(req.params.projectId, { withResults: req.query.results !== 'false' });
 
     if (!project) {
         return res.status(404).json({ error: 'Project not found' });
@@ -1336,53 +1944,180 @@ app.get('/api/projects/:projectId', (req, res) => {
     res.json(project);
 });
 
-// Delete project
-app.delete('/api/projects/:projectId', (req, res) => {
-    let projects = loadProjects();
-    projects = projects.filter(p => p.id !== req.params.projectId);
-    saveProjects(projects);
-    res.json({ success: true });
+// Update project name, default region, monthly SERP budget (RUB, null - no limit) or reputation subject (null - clear)
+app.patch('/api/projects/:projectId', (req, res) => {
+    const { name, region, monthlyBudget, subject } = req.body;
+    const changes = {};
+
+    if (name !== undefined) {
+        if (!String(name).trim()) {
+            return res.status(400).json({ error: 'Project name is required' });
+        }
+        changes.name = String(name).trim();
+    }
+    if (region !== undefined) {
+        if (!storage.getRegion(region)) {
+            return res.status(400).json({ error: 'Unknown region' });
+        }
+        changes.region = region;
+    }
+    if (monthlyBudget !== undefined) {
+        const value = monthlyBudget === null || monthlyBudget === '' ? null : Number(monthlyBudget);
+        if (value !== null && (!Number.isFinite(value) || value < 0)) {
+            return res.status(400).json({ error: 'Monthly budget must be a non-negative number' });
+        }
+        changes.monthlyBudget = value || null;
+    }
+    if (subject !== undefined) {
+        const subjectError = sentimentSubject.validateSubject(subject);
+        if (subjectError) {
+            return res.status(400).json({ error: subjectError });
+        }
+        changes.subject = sentimentSubject.normalizeSubject(subject) || undefined;
+    }
+
+    const project = storage.updateProject(req.params.projectId, changes);
+
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ ...project, budget: getProjectBudget(project) });
+});
+
+// SERP spend report: totals by month, project and engine (query params: projectId, from, to)
+app.get('/api/spend', (req, res) => {
+    const { projectId, from, to } = req.query;
+    const report = storage.getSerpSpend({ projectId, from, to });
+
+    // Budget state of existing projects
+    const budgets = Object.fromEntries(storage.listProjects().map(p => [p.id, getProjectBudget(p)]));
+    report.byProject = report.byProject.map(row => ({ ...row, budget: budgets[row.projectId] || null }));
+
+    res.json({ ...report, currency: 'RUB', pricing: getSerpSettings().pricing });
+});
+
+// Spend of one project with its budget state
+app.get('/api/projects/:projectId/spend', (req, res) => {
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { from, to } = req.query;
+    const { total, byMonth, byEngine } = storage.getSerpSpend({ projectId: project.id, from, to });
+
+    res.json({ total, byMonth, byEngine, budget: getProjectBudget(project), currency: 'RUB' });
+});
+
+// Delete project
+app.delete('/api/projects/:projectId', (req, res) => {
+    storage.deleteProject(req.params.projectId);
+
+    // Remove schedules of deleted project
+    saveSchedules(loadSchedules().filter(s => s.projectId !== req.params.projectId));
+
+    res.json({ success: true });
 });
 
 // Create entity in project
 app.post('/api/projects/:projectId/entities', (req, res) => {
-    const { name, engines, depth } = req.body;
+    const { name, engines, depth, regions, device, subject } = req.body;
 
     if (!name) {
         return res.status(400).json({ error: 'Entity name (keyword) is required' });
     }
 
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+    const subjectError = subject !== undefined ? sentimentSubject.validateSubject(subject) : null;
+    if (subjectError) {
+        return res.status(400).json({ error: subjectError });
+    }
+
+    if (device !== undefined && !DEVICE_SETTINGS[device]) {
+        return res.status(400).json({ error: `Device must be one of: ${Object.keys(DEVICE_SETTINGS).join(', ')}` });
+    }
+
+    const regionsError = regions !== undefined ? validateEntityRegions(regions) : null;
+    if (regionsError) {
+        return res.status(400).json({ error: regionsError });
+    }
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
 
     if (!project) {
         return res.status(404).json({ error: 'Project not found' });
     }
 
-    const newEntity = {
+    const newEntity = storage.createEntity(project.id, {
         id: uuidv4(),
         name,
         engines: engines || ['google', 'yandex'],
         depth: depth || 20,
-        createdAt: new Date().toISOString(),
-        parsings: []
-    };
+        // Empty list - parse in the project region
+        regions: [...new Set(regions || [])],
+        device: device || 'desktop',
+        // Empty - the project subject or the query itself
+        subject: sentimentSubject.normalizeSubject(subject) || undefined,
+        createdAt: new Date().toISOString()
+    });
 
-    project.entities.push(newEntity);
-    saveProjects(projects);
     res.json(newEntity);
 });
 
 // Get entity
 app.get('/api/projects/:projectId/entities/:entityId', (req, res) => {
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+    const entity = storage.getEntity(req.params.projectId, req.params.entityId);
 
-    if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    res.json(entity);
+});
+
+// Update entity settings (depth, engines, regions, device, subject - null resets to the project subject)
+app.patch('/api/projects/:projectId/entities/:entityId', (req, res) => {
+    const { depth, engines, regions, device, subject } = req.body;
+    const changes = {};
+
+    // Update depth if provided
+    if (depth !== undefined) {
+        const validDepths = [10, 20, 50, 100];
+        if (validDepths.includes(parseInt(depth))) {
+            changes.depth = parseInt(depth);
+        }
+    }
+
+    // Update engines if provided
+    if (engines !== undefined && Array.isArray(engines) && engines.length > 0) {
+        changes.engines = engines.filter(e => ['google', 'yandex'].includes(e));
+    }
+
+    if (regions !== undefined) {
+        const regionsError = validateEntityRegions(regions);
+        if (regionsError) {
+            return res.status(400).json({ error: regionsError });
+        }
+        changes.regions = [...new Set(regions)];
+    }
+
+    if (device !== undefined) {
+        if (!DEVICE_SETTINGS[device]) {
+            return res.status(400).json({ error: `Device must be one of: ${Object.keys(DEVICE_SETTINGS).join(', ')}` });
+        }
+        changes.device = device;
+    }
+
+    if (subject !== undefined) {
+        const subjectError = sentimentSubject.validateSubject(subject);
+        if (subjectError) {
+            return res.status(400).json({ error: subjectError });
+        }
+        changes.subject = sentimentSubject.normalizeSubject(subject) || undefined;
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
+    const entity = storage.updateEntity(req.params.projectId, req.params.entityId, changes);
 
     if (!entity) {
         return res.status(404).json({ error: 'Entity not found' });
@@ -1391,394 +2126,2026 @@ app.get('/api/projects/:projectId/entities/:entityId', (req, res) => {
     res.json(entity);
 });
 
-// Update entity settings (depth, engines)
-app.patch('/api/projects/:projectId/entities/:entityId', (req, res) => {
-    const { depth, engines } = req.body;
+// Delete entity
+app.delete('/api/projects/:projectId/entities/:entityId', (req, res) => {
+    storage.deleteEntity(req.params.projectId, req.params.entityId);
+
+    // Remove schedules of deleted entity
+    saveSchedules(loadSchedules().filter(s => s.entityId !== req.params.entityId));
+
+    res.json({ success: true });
+});
+
+// Cost estimate of a parsing (query params: region, device - as for parse-background)
+app.get('/api/projects/:projectId/entities/:entityId/estimate', (req, res) => {
+    const { region, device } = req.query;
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+    const entity = project?.entities.find(e => e.id === req.params.entityId);
+
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    if (device && !DEVICE_SETTINGS[device]) {
+        return res.status(400).json({ error: `Device must be one of: ${Object.keys(DEVICE_SETTINGS).join(', ')}` });
+    }
+
+    const searches = resolveParsingRegions(project, entity, region || null).length * resolveParsingDevices(entity, device).length;
+
+    res.json({
+        ...estimateSerpCost(entity.engines, entity.depth, searches),
+        budget: getProjectBudget(project)
+    });
+});
+
+// Run parsing for entity (wrapped with asyncHandler for error safety)
+// One parsing per region and device; responds with the parsing, or { runId, parsings } when there are several
+app.post('/api/projects/:projectId/entities/:entityId/parse', asyncHandler(async (req, res) => {
+    const { region, device, fresh } = req.body;
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+    const entity = project?.entities.find(e => e.id === req.params.entityId);
+
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    if (device && !DEVICE_SETTINGS[device]) {
+        return res.status(400).json({ error: `Device must be one of: ${Object.keys(DEVICE_SETTINGS).join(', ')}` });
+    }
+
+    const budgetError = checkProjectBudget(project);
+    if (budgetError) {
+        return res.status(402).json({ error: budgetError, budget: getProjectBudget(project) });
+    }
+
+    const selectedRegions = resolveParsingRegions(project, entity, region);
+    const selectedDevices = resolveParsingDevices(entity, device);
+    const runId = uuidv4();
+    const parsings = [];
+
+    for (const selectedRegion of selectedRegions) {
+        const regionInfo = getRegionInfo(selectedRegion);
+
+        for (const selectedDevice of selectedDevices) {
+            const parsingResults = {
+                id: uuidv4(),
+                runId,
+                date: new Date().toISOString(),
+                region: {
+                    code: regionInfo.code,
+                    name: regionInfo.name
+                },
+                device: selectedDevice,
+                engines: {}
+            };
+
+            // Run parsing for each engine
+            for (const engine of entity.engines) {
+                const { results, features, search, completeness } = await realSearch(entity.name, engine, entity.depth, selectedRegion, selectedDevice, {
+                    projectId: project.id,
+                    entityId: entity.id,
+                    source: 'parse',
+                    fresh: !!fresh,
+                    subject: sentimentSubject.resolveSubject(project, entity),
+                    lexicon: getProjectLexicon(project.id),
+                    domains: getProjectDomains(project.id)
+                });
+                const metrics = calculateMetrics(results, features);
+
+                parsingResults.engines[engine] = {
+                    results,
+                    features,
+                    metrics,
+                    search,
+                    completeness
+                };
+            }
+
+            storage.saveParsing(entity.id, parsingResults);
+            parsings.push(parsingResults);
+        }
+    }
+
+    res.json(parsings.length === 1 ? parsings[0] : { runId, parsings });
+}));
 
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+// Start background parsing for entity
+app.post('/api/projects/:projectId/entities/:entityId/parse-background', asyncHandler(async (req, res) => {
+    const { region, device, fresh } = req.body;
+    const { projectId, entityId } = req.params;
+
+    const project = storage.getProject(projectId, { withResults: false });
 
     if (!project) {
         return res.status(404).json({ error: 'Project not found' });
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
+    const entity = project.entities.find(e => e.id === entityId);
 
     if (!entity) {
         return res.status(404).json({ error: 'Entity not found' });
     }
 
-    // Update depth if provided
-    if (depth !== undefined) {
-        const validDepths = [10, 20, 50, 100];
-        if (validDepths.includes(parseInt(depth))) {
-            entity.depth = parseInt(depth);
-        }
+    if (device && !DEVICE_SETTINGS[device]) {
+        return res.status(400).json({ error: `Device must be one of: ${Object.keys(DEVICE_SETTINGS).join(', ')}` });
     }
 
-    // Update engines if provided
-    if (engines !== undefined && Array.isArray(engines) && engines.length > 0) {
-        entity.engines = engines.filter(e => ['google', 'yandex'].includes(e));
+    const budgetError = checkProjectBudget(project);
+    if (budgetError) {
+        return res.status(402).json({ error: budgetError, budget: getProjectBudget(project) });
     }
 
-    saveProjects(projects);
-    res.json(entity);
+    // Use provided region, or entity regions, or project region; provided device or the entity device setting
+    const { taskId, alreadyRunning } = startBackgroundParsing(project, entity, {
+        regions: resolveParsingRegions(project, entity, region),
+        devices: resolveParsingDevices(entity, device)
+    }, { fresh: !!fresh });
+
+    if (alreadyRunning) {
+        return res.json({ taskId, alreadyRunning: true });
+    }
+
+    res.json({ taskId, status: 'started' });
+}));
+
+// Start deep sentiment analysis of the latest run of an entity or of all project entities
+// Body: onlyNew - skip results already analyzed. Progress: GET /api/parsing-tasks/:taskId
+app.post(['/api/projects/:projectId/deep-sentiment', '/api/projects/:projectId/entities/:entityId/deep-sentiment'], (req, res) => {
+    const { onlyNew } = req.body;
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const entity = req.params.entityId ? project.entities.find(e => e.id === req.params.entityId) : null;
+
+    if (req.params.entityId && !entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    if (!getAnthropicClient()) {
+        return res.status(400).json({ error: 'Claude API key not configured' });
+    }
+
+    const { taskId, alreadyRunning, total } = startDeepSentimentAnalysis(project, entity, { onlyNew: !!onlyNew });
+
+    if (alreadyRunning) {
+        return res.json({ taskId, alreadyRunning: true, total });
+    }
+
+    res.json({ taskId, status: 'started', total });
 });
 
-// Delete entity
-app.delete('/api/projects/:projectId/entities/:entityId', (req, res) => {
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+// Start background parsing task for entity: one parsing per region and device, all sharing the task's runId
+// Returns { taskId, alreadyRunning, done } where done resolves when the task finishes
+// Options: engineRetries - extra attempts for an engine that returned no results, retryDelay - base backoff in ms,
+//          fresh - bypass the SERP cache,
+//          resumeFrom - persisted task record to continue (saved parsings and engines in its partial result are skipped)
+function startBackgroundParsing(project, entity, { regions: selectedRegions, devices: selectedDevices = ['desktop'] }, options = {}) {
+    const { engineRetries = 0, retryDelay = 5000, fresh = false, resumeFrom = null } = options;
+    const projectId = project.id;
+    const entityId = entity.id;
+    const subject = sentimentSubject.resolveSubject(project, entity);
+    const lexicon = getProjectLexicon(projectId);
+    const domains = getProjectDomains(projectId);
+
+    // Check if parsing already running for this entity
+    for (const [taskId, task] of activeParsings) {
+        if (task.type === 'parsing' && task.entityId === entityId && task.status === 'running') {
+            return { taskId, alreadyRunning: true, done: parsingCompletions.get(taskId) || Promise.resolve(task) };
+        }
+    }
+
+    const taskId = resumeFrom?.taskId || uuidv4();
+    const multiRegion = selectedRegions.length > 1;
+    const multiDevice = selectedDevices.length > 1;
+    // Each target (region + device) is saved as a separate parsing
+    const targets = selectedRegions.flatMap(region => selectedDevices.map(device => ({ region, device, key: `${region}/${device}` })));
+    // search + sentiment for each engine of each target + save for each target
+    const totalSteps = targets.length * (entity.engines.length * 2 + 1);
+
+    // Initialize task
+    activeParsings.set(taskId, {
+        type: 'parsing',
+        projectId,
+        entityId,
+        entityName: entity.name,
+        regions: selectedRegions,
+        devices: selectedDevices,
+        runId: resumeFrom?.runId || uuidv4(),
+        // Records written before device support list completed regions only (desktop)
+        completedTargets: resumeFrom?.completedTargets || (resumeFrom?.completedRegions || []).map(code => `${code}/desktop`),
+        parsingIds: resumeFrom?.parsingIds || [],
+        engineRetries,
+        fresh,
+        resumeCount: resumeFrom ? (resumeFrom.resumeCount || 0) + 1 : 0,
+        status: 'running',
+        progress: 0,
+        currentStep: 'Инициализация...',
+        totalSteps,
+        completedSteps: 0,
+        result: null,
+        error: null,
+        failedEngines: resumeFrom?.failedEngines || [],
+        engines: resumeFrom?.engines || {},
+        cancelRequested: false,
+        startedAt: resumeFrom?.startedAt || new Date().toISOString()
+    });
+
+    // Start background parsing
+    const done = (async () => {
+        const task = activeParsings.get(taskId);
+        let parsingResults = null;
+
+        try {
+
+            let completedSteps = 0;
+            const engineCount = entity.engines.length;
+            const searchCount = targets.length * engineCount;
+
+            for (let targetIndex = 0; targetIndex < targets.length; targetIndex++) {
+                const { region: selectedRegion, device: selectedDevice, key: targetKey } = targets[targetIndex];
+                const regionInfo = getRegionInfo(selectedRegion);
+
+                if (task.completedTargets.includes(targetKey)) {
+                    // Parsing saved before the server restart
+                    completedSteps += engineCount * 2 + 1;
+                    continue;
+                }
+
+                // Partial result of an interrupted task already contains the finished engines of this target
+                const partial = resumeFrom?.partialResult;
+                const isPartialTarget = partial?.region?.code === selectedRegion && (partial.device || 'desktop') === selectedDevice;
+                parsingResults = isPartialTarget ? { ...partial, device: selectedDevice } : {
+                    id: uuidv4(),
+                    runId: task.runId,
+                    date: new Date().toISOString(),
+                    region: {
+                        code: regionInfo.code,
+                        name: regionInfo.name
+                    },
+                    device: selectedDevice,
+                    engines: {}
+                };
+                persistParsingTask(taskId, task, parsingResults);
+
+                const targetLabel = [multiRegion && regionInfo.name, multiDevice && DEVICE_LABELS[selectedDevice]].filter(Boolean).join(', ');
+                const regionPrefix = targetLabel ? `${targetLabel}: ` : '';
+
+                // Run parsing for each engine
+                for (let engineIndex = 0; engineIndex < entity.engines.length; engineIndex++) {
+                    const engine = entity.engines[engineIndex];
+                    const engineName = `${regionPrefix}${engine === 'google' ? 'Google' : 'Яндекс'}`;
+
+                    if (task.cancelRequested) {
+                        throw new ParsingCancelledError();
+                    }
+
+                    if (parsingResults.engines[engine]) {
+                        // Engine finished before the server restart
+                        completedSteps += 2;
+                        continue;
+                    }
+
+                    // Progress callback for detailed updates
+                    const updateProgress = (subStep, subProgress) => {
+                        // Each engine of each region has 2 main steps (search + analysis)
+                        // Calculate overall progress based on search index and sub-step
+                        const searchWeight = 1 / searchCount;
+                        const baseProgress = (targetIndex * engineCount + engineIndex) * searchWeight;
+                        const stepProgress = (subStep + subProgress) * searchWeight / 2;
+                        task.progress = Math.round((baseProgress + stepProgress) * 100);
+                        task.completedSteps = completedSteps;
+                    };
+
+                    // Step 1: Search
+                    task.currentStep = `Поиск: ${engineName}...`;
+                    updateProgress(0, 0);
+
+                    let results = [];
+                    let features = [];
+                    let search = null;
+                    let completeness = null;
+                    for (let attempt = 0; attempt <= engineRetries; attempt++) {
+                        if (attempt > 0) {
+                            // Exponential backoff before retrying the engine
+                            const delay = retryDelay * Math.pow(2, attempt - 1);
+                            task.currentStep = `${engineName}: повтор ${attempt}/${engineRetries} через ${Math.round(delay / 1000)} сек...`;
+                            console.log(`[Background Parsing] Retrying ${engine} (${targetKey}) for "${entity.name}" in ${delay}ms (attempt ${attempt})`);
+                            await new Promise(resolve => setTimeout(resolve, delay));
+
+                            if (task.cancelRequested) {
+                                throw new ParsingCancelledError();
+                            }
+                        }
+
+                        ({ results, features, search, completeness } = await realSearchWithProgress(
+                            entity.name,
+                            engine,
+                            entity.depth,
+                            selectedRegion,
+                            selectedDevice,
+                            (searchProgress, searchStep) => {
+                                task.currentStep = `${engineName}: ${searchStep}`;
+                                updateProgress(0, searchProgress);
+                            },
+                            { projectId, entityId, source: 'background', fresh, subject, lexicon, domains }
+                        ));
+
+                        // Balance and key errors will not go away on retry
+                        if (results.length > 0 || completeness.error?.retryable === false) break;
+                    }
+
+                    const engineKey = targetLabel ? `${engine} (${targetLabel})` : engine;
+                    if (results.length === 0) {
+                        task.failedEngines.push(engineKey);
+                    }
+                    completedSteps++;
+                    updateProgress(1, 0);
+
+                    // Step 2: Sentiment analysis
+                    task.currentStep = `Анализ тональности: ${engineName}...`;
+
+                    const metrics = await calculateMetricsWithProgress(
+                        results,
+                        features,
+                        (analysisProgress, analysisStep) => {
+                            task.currentStep = `${engineName}: ${analysisStep}`;
+                            updateProgress(1, analysisProgress);
+                        }
+                    );
+                    completedSteps++;
+                    updateProgress(2, 0);
+
+                    parsingResults.engines[engine] = {
+                        results,
+                        features,
+                        metrics,
+                        search,
+                        completeness
+                    };
+                    task.engines[engineKey] = {
+                        results: results.length,
+                        rating: metrics?.rating,
+                        completeness: completeness.status,
+                        error: completeness.error?.cause || null
+                    };
+                    persistParsingTask(taskId, task, parsingResults);
+                }
+
+                // Step 3: Save results of the target
+                task.currentStep = `${regionPrefix}Сохранение результатов...`;
+
+                // Entity may have been deleted while parsing
+                if (!storage.saveParsing(entityId, parsingResults)) {
+                    console.log(`[Background Parsing] Entity ${entityId} was deleted, results of task ${taskId} discarded`);
+                }
+
+                task.completedTargets.push(targetKey);
+                task.parsingIds.push(parsingResults.id);
+                task.result = parsingResults;
+                parsingResults = null;
+                completedSteps++;
+                task.completedSteps = completedSteps;
+                persistParsingTask(taskId, task);
+            }
+
+            task.completedSteps = completedSteps;
+            task.progress = 100;
+            task.status = 'completed';
+            task.currentStep = 'Завершено';
+            task.completedAt = new Date().toISOString();
+
+            console.log(`[Background Parsing] Task ${taskId} completed for entity ${entity.name} (${targets.map(t => t.key).join(', ')})`);
+
+        } catch (error) {
+            if (error instanceof ParsingCancelledError) {
+                console.log(`[Background Parsing] Task ${taskId} cancelled for entity ${entity.name}`);
+                task.status = 'cancelled';
+                task.currentStep = 'Отменено';
+            } else {
+                console.error(`[Background Parsing] Task ${taskId} failed:`, error);
+                task.status = 'error';
+                task.error = error.message;
+                task.currentStep = 'Ошибка';
+            }
+            task.completedAt = new Date().toISOString();
+        }
+
+        persistParsingTask(taskId, task, parsingResults);
+        parsingCompletions.delete(taskId);
+
+        // Clean up old tasks after 5 minutes
+        setTimeout(() => {
+            activeParsings.delete(taskId);
+        }, 5 * 60 * 1000);
+
+        return task;
+    })();
+    parsingCompletions.set(taskId, done);
+
+    return { taskId, alreadyRunning: false, done };
+}
+
+// Stop a deep analysis task after this many Claude errors in a row (invalid key, exhausted balance)
+const DEEP_SENTIMENT_MAX_ERRORS = 5;
+
+// Results of the latest run of each entity (all project entities when entity is null)
+// project - as returned by storage.getProject(..., { withResults: false }); onlyNew skips already analyzed results
+function collectDeepSentimentItems(project, entity, onlyNew) {
+    const items = [];
+
+    for (const target of entity ? [entity] : project.entities) {
+        const last = target.parsings[target.parsings.length - 1];
+        if (!last) continue;
+
+        const run = last.runId ? target.parsings.filter(p => p.runId === last.runId) : [last];
+        const subject = sentimentSubject.resolveSubject(project, target);
+
+        for (const { id } of run) {
+            const parsing = storage.getParsing(target.id, id);
+            for (const [engine, engineData] of Object.entries(parsing?.engines || {})) {
+                for (const result of engineData.results || []) {
+                    if (onlyNew && result.sentimentDeep) continue;
+                    items.push({ projectId: project.id, entity: target, subject, parsingId: id, engine, result });
+                }
+            }
+        }
+    }
+
+    return items;
+}
+
+// Store deep analysis on the result and recalculate metrics; returns true when the sentiment changed.
+// Manual sentiment (set by the user or remembered from a manual label) is never overridden.
+function saveDeepSentiment(item, analysis) {
+    let changed = false;
+    let manual = false;
+
+    storage.modifyParsingEngine(item.entity.id, item.parsingId, item.engine, engineData => {
+        const stored = engineData.results.find(r => r.position === item.result.position && r.url === item.result.url);
+        if (!stored) return false;
+
+        Object.assign(stored, {
+            sentimentDeep: analysis.sentiment,
+            sentimentConfidence: analysis.confidence,
+            sentimentReasoning: analysis.reasoning,
+            sentimentImpact: analysis.impact,
+            sentimentKeywords: analysis.keywords,
+            sentimentDeepAt: new Date().toISOString()
+        });
+        manual = stored.sentimentSource === 'manual' || stored.sentimentLabel?.source === 'manual';
+        if (!manual && analysis.confidence >= DEEP_SENTIMENT_MIN_CONFIDENCE && stored.sentiment !== analysis.sentiment) {
+            stored.sentiment = analysis.sentiment;
+            stored.sentimentSource = 'claude';
+            delete stored.sentimentLabel;
+            changed = true;
+        }
+
+        engineData.metrics = calculateMetrics(engineData.results, engineData.features);
+    });
+
+    if (!manual && analysis.confidence >= URL_LABEL_MIN_CONFIDENCE && item.result.url) {
+        storage.saveUrlLabel(item.projectId, {
+            url: item.result.url,
+            sentiment: analysis.sentiment,
+            source: 'claude',
+            confidence: analysis.confidence,
+            explanation: analysis.reasoning
+        });
+    }
+
+    return changed;
+}
+
+// Fields stored on a result by saveDeepSentiment
+const DEEP_SENTIMENT_FIELDS = ['sentimentDeep', 'sentimentConfidence', 'sentimentReasoning', 'sentimentImpact', 'sentimentKeywords', 'sentimentDeepAt'];
+
+// Deep analysis of the previous results of the same search, matched by URL: a rebuilt parsing keeps it,
+// and a confident verdict overrides the sentiment again as in saveDeepSentiment
+function keepDeepSentiment(results, previousResults) {
+    const analyzed = new Map((previousResults || []).filter(r => r.sentimentDeepAt && r.url).map(r => [r.url, r]));
+
+    return results.map(result => {
+        const previous = analyzed.get(result.url);
+        if (!previous) return result;
+
+        const kept = { ...result };
+        for (const field of DEEP_SENTIMENT_FIELDS) {
+            if (previous[field] !== undefined) kept[field] = previous[field];
+        }
+
+        const manual = result.sentimentSource === 'manual' || result.sentimentLabel?.source === 'manual';
+        if (!manual && previous.sentimentConfidence >= DEEP_SENTIMENT_MIN_CONFIDENCE && kept.sentiment !== previous.sentimentDeep) {
+            kept.sentiment = previous.sentimentDeep;
+            kept.sentimentSource = 'claude';
+            delete kept.sentimentLabel;
+        }
+        return kept;
+    });
+}
+
+// Start deep sentiment analysis of an entity (or the whole project when entity is null) in background.
+// The task lives in activeParsings with type 'deep-sentiment', so its progress is polled and persisted like a parsing;
+// each result is saved as soon as it is analyzed.
+function startDeepSentimentAnalysis(project, entity = null, { onlyNew = false } = {}) {
+    const entityId = entity?.id || null;
+
+    // One analysis at a time for overlapping targets
+    for (const [taskId, task] of activeParsings) {
+        if (task.type === 'deep-sentiment' && task.status === 'running' && task.projectId === project.id
+            && (!task.entityId || !entityId || task.entityId === entityId)) {
+            return { taskId, alreadyRunning: true, total: task.totalSteps };
+        }
+    }
+
+    const items = collectDeepSentimentItems(project, entity, onlyNew);
+    const taskId = uuidv4();
+
+    activeParsings.set(taskId, {
+        type: 'deep-sentiment',
+        projectId: project.id,
+        entityId,
+        entityName: entity ? entity.name : 'Весь проект',
+        onlyNew,
+        status: 'running',
+        progress: 0,
+        currentStep: 'Инициализация...',
+        totalSteps: items.length,
+        completedSteps: 0,
+        result: null,
+        error: null,
+        deep: { analyzed: 0, changed: 0, failed: 0 },
+        cancelRequested: false,
+        startedAt: new Date().toISOString()
+    });
+
+    const done = (async () => {
+        const task = activeParsings.get(taskId);
+        persistParsingTask(taskId, task);
+
+        try {
+            let errorsInRow = 0;
+            const claudeSettings = getClaudeSettings(project.id);
+
+            for (let i = 0; i < items.length; i++) {
+                if (task.cancelRequested) {
+                    throw new ParsingCancelledError();
+                }
+
+                const item = items[i];
+                task.currentStep = `Глубокий анализ ${i + 1}/${items.length}: ${item.result.domain}`;
+
+                try {
+                    const analysis = await analyzeSentimentDeep(item.result, item.entity.name, item.subject, claudeSettings);
+                    if (saveDeepSentiment(item, analysis)) task.deep.changed++;
+                    task.deep.analyzed++;
+                    errorsInRow = 0;
+                } catch (error) {
+                    console.error(`[Sentiment] Deep analysis failed for ${item.result.url}:`, error.message);
+                    task.deep.failed++;
+                    if (++errorsInRow >= DEEP_SENTIMENT_MAX_ERRORS) {
+                        throw new Error(`Claude API: ${error.message}`);
+                    }
+                }
+
+                task.completedSteps = i + 1;
+                task.progress = Math.round((task.completedSteps / items.length) * 100);
+                persistParsingTaskProgress(taskId, task);
+
+                await new Promise(resolve => setTimeout(resolve, DEEP_SENTIMENT_DELAY));
+            }
+
+            task.progress = 100;
+            task.status = 'completed';
+            task.currentStep = 'Завершено';
+            console.log(`[Sentiment] Deep analysis ${taskId} completed: ${task.deep.analyzed} analyzed, ${task.deep.changed} changed, ${task.deep.failed} failed`);
+        } catch (error) {
+            if (error instanceof ParsingCancelledError) {
+                task.status = 'cancelled';
+                task.currentStep = 'Отменено';
+            } else {
+                console.error(`[Sentiment] Deep analysis ${taskId} failed:`, error.message);
+                task.status = 'error';
+                task.error = error.message;
+                task.currentStep = 'Ошибка';
+            }
+        }
+
+        task.completedAt = new Date().toISOString();
+        persistParsingTask(taskId, task);
+        parsingCompletions.delete(taskId);
+
+        setTimeout(() => {
+            activeParsings.delete(taskId);
+        }, 5 * 60 * 1000);
+
+        return task;
+    })();
+    parsingCompletions.set(taskId, done);
+
+    return { taskId, alreadyRunning: false, total: items.length, done };
+}
+
+// Parsing task history (persisted to the database so tasks survive restarts, one row per task)
+// Record: { taskId, type ('parsing' | 'deep-sentiment' | 'sentiment-evaluation', missing in old records - parsing), projectId, entityId, entityName, regions, devices, runId, completedTargets ("region/device"),
+//           parsingIds, status, progress, currentStep, error, failedEngines, engineRetries, resumeCount, startedAt,
+//           completedAt, durationMs, engines, partialResult (parsing of the target in progress),
+//           deep ({ analyzed, changed, failed } of a deep sentiment analysis),
+//           analyzers and evaluation (report of a sentiment evaluation, see startSentimentEvaluation) }
+const MAX_TASK_RESUMES = 3;
+// Progress of a running task is written at most this often, status changes and checkpoints are written at once
+const TASK_PROGRESS_PERSIST_INTERVAL = 15 * 1000;
+const taskPersistedAt = new Map();
+
+// Write task state to the database; partial results are kept only while the task is running
+function persistParsingTask(taskId, task, partialResult = null) {
+    const record = {
+        taskId,
+        type: task.type,
+        projectId: task.projectId,
+        entityId: task.entityId,
+        entityName: task.entityName,
+        regions: task.regions,
+        devices: task.devices,
+        runId: task.runId,
+        completedTargets: task.completedTargets,
+        parsingIds: task.parsingIds,
+        status: task.status,
+        progress: task.progress,
+        currentStep: task.currentStep,
+        error: task.error,
+        failedEngines: task.failedEngines,
+        engineRetries: task.engineRetries,
+        fresh: task.fresh,
+        resumeCount: task.resumeCount,
+        startedAt: task.startedAt,
+        completedAt: task.completedAt || null,
+        durationMs: task.completedAt ? new Date(task.completedAt) - new Date(task.startedAt) : null,
+        engines: task.engines,
+        deep: task.deep,
+        analyzers: task.analyzers,
+        evaluation: task.evaluation,
+        partialResult: task.status === 'running' ? partialResult : null
+    };
+
+    storage.saveParsingTask(record);
+    if (task.status === 'running') {
+        taskPersistedAt.set(taskId, Date.now());
+    } else {
+        taskPersistedAt.delete(taskId);
+    }
+}
+
+// Write progress of a running task, skipped when the task was written less than TASK_PROGRESS_PERSIST_INTERVAL ago
+function persistParsingTaskProgress(taskId, task) {
+    if (Date.now() - (taskPersistedAt.get(taskId) || 0) < TASK_PROGRESS_PERSIST_INTERVAL) return;
+    persistParsingTask(taskId, task);
+}
+
+// On boot: resume tasks interrupted by a restart, or mark them as failed when that is not possible
+function recoverInterruptedParsingTasks() {
+    const interrupted = storage.listParsingTasks({ status: 'running', withPartialResult: true });
+    if (interrupted.length === 0) return;
+
+    for (const record of interrupted) {
+        const project = storage.getProject(record.projectId, { withResults: false });
+        const entity = project?.entities.find(e => e.id === record.entityId);
+
+        let reason = null;
+        if (record.type === 'deep-sentiment') {
+            // Analyzed results are already saved, the analysis can be restarted for the rest
+            reason = 'Глубокий анализ прерван перезапуском сервера';
+        } else if (record.type === 'sentiment-evaluation') {
+            reason = 'Проверка тональности прервана перезапуском сервера';
+        } else if (!entity) {
+            reason = 'Сущность удалена до возобновления задачи';
+        } else if ((record.resumeCount || 0) >= MAX_TASK_RESUMES) {
+            reason = `Задача прервана перезапуском сервера ${MAX_TASK_RESUMES} раз`;
+        }
+
+        if (reason) {
+            console.log(`[Background Parsing] Task ${record.taskId} marked as failed: ${reason}`);
+            const completedAt = new Date().toISOString();
+            storage.saveParsingTask({
+                ...record,
+                status: 'error',
+                error: reason,
+                currentStep: 'Ошибка',
+                completedAt,
+                durationMs: new Date(completedAt) - new Date(record.startedAt),
+                partialResult: null
+            });
+            continue;
+        }
+
+        console.log(`[Background Parsing] Resuming task ${record.taskId} for entity ${entity.name}`);
+        // Records written before multi-region parsing have a single region, before device support - no devices
+        startBackgroundParsing(project, entity, {
+            regions: record.regions || [record.region || project.region || 'ru'],
+            devices: record.devices || ['desktop']
+        }, {
+            engineRetries: record.engineRetries || 0,
+            fresh: !!record.fresh,
+            resumeFrom: record
+        });
+    }
+}
+
+// Get parsing task history (filters: projectId, entityId, status, limit)
+app.get('/api/parsing-tasks/history', (req, res) => {
+    const { projectId, entityId, status } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    res.json(storage.listParsingTasks({ projectId, entityId, status, limit }));
+});
+
+// Get parsing task status
+app.get('/api/parsing-tasks/:taskId', (req, res) => {
+    const task = activeParsings.get(req.params.taskId);
+
+    if (task) {
+        return res.json(task);
+    }
+
+    // Finished tasks are removed from memory, fall back to the history
+    const record = storage.getParsingTask(req.params.taskId);
+
+    if (!record) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { partialResult, ...taskInfo } = record;
+    res.json(taskInfo);
+});
+
+// Get all active parsing tasks
+app.get('/api/parsing-tasks', (req, res) => {
+    const tasks = [];
+    for (const [taskId, task] of activeParsings) {
+        tasks.push({ taskId, ...task });
+    }
+    res.json(tasks);
+});
+
+// Scheduled parsing
+// Structure: { id, projectId, entityId (null = whole project), frequency, time, dayOfWeek, timeZone, region,
+//              enabled, nextRunAt, lastRunAt, lastStatus, lastError, lastTaskIds, currentRun, createdAt }
+// currentRun: { pendingEntityIds, taskIds, failed } of a run in progress, so a run interrupted by a restart is continued
+// time and dayOfWeek are wall-clock values in timeZone (IANA name, the client's zone; older schedules without it use the server zone)
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly'];
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const SCHEDULER_INTERVAL = 60 * 1000; // Check due schedules every minute
+const runningSchedules = new Set();
+
+function loadSchedules() {
+    return storage.readJsonFile(SCHEDULES_FILE, []);
+}
+
+function saveSchedules(schedules) {
+    storage.writeJsonFile(SCHEDULES_FILE, schedules);
+}
+
+// Update a single schedule by id (reloads the file to avoid overwriting concurrent changes)
+function updateSchedule(scheduleId, changes) {
+    const schedules = loadSchedules();
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) return null;
+    Object.assign(schedule, changes);
+    saveSchedules(schedules);
+    return schedule;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Offset of the time zone from UTC at the given moment, ms
+function getTimeZoneOffset(timeZone, date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+// Moment of a wall-clock time in the time zone (day may overflow the month, as in Date.UTC)
+function getZonedTime(timeZone, year, month, day, hours, minutes) {
+    const wallClock = Date.UTC(year, month, day, hours, minutes);
+    // The offset at the guessed moment is correct except right at a DST switch, the second pass settles it
+    const guess = wallClock - getTimeZoneOffset(timeZone, new Date(wallClock));
+    return new Date(wallClock - getTimeZoneOffset(timeZone, new Date(guess)));
+}
+
+// Calculate next run date after the given moment, time and day of week are taken in the schedule time zone
+function computeNextRun(schedule, from = new Date()) {
+    const timeZone = schedule.timeZone || SERVER_TIME_ZONE;
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    // Wall clock of the moment in the time zone, read with the UTC getters
+    const local = new Date(from.getTime() + getTimeZoneOffset(timeZone, from));
+
+    let day = local.getUTCDate();
+    if (schedule.frequency === 'weekly') {
+        day += (schedule.dayOfWeek - local.getUTCDay() + 7) % 7;
+    }
+
+    let next = getZonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), day, hours, minutes);
+    if (next <= from) {
+        day += schedule.frequency === 'weekly' ? 7 : 1;
+        next = getZonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), day, hours, minutes);
+    }
+
+    return next.toISOString();
+}
+
+// Validate schedule fields, returns error message or null
+function validateSchedule({ frequency, time, dayOfWeek, timeZone, region }) {
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+        return `Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`;
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+        return 'Time must be in HH:MM format';
+    }
+    if (frequency === 'weekly' && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+        return 'Day of week (0-6, 0 = Sunday) is required for weekly schedules';
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+        return 'Unknown time zone';
+    }
+    if (region && !storage.getRegion(region)) {
+        return 'Unknown region';
+    }
+    return null;
+}
+
+// Run a single schedule: parse its entity or every entity of its project one by one.
+// resume - continue the run interrupted by a restart with the entities it had not finished (see startScheduler)
+async function runSchedule(schedule, { resume = false } = {}) {
+    runningSchedules.add(schedule.id);
+    const startedAt = new Date();
+
+    // Move next run forward before starting so the schedule is not picked up again
+    if (!resume) {
+        updateSchedule(schedule.id, {
+            lastRunAt: startedAt.toISOString(),
+            lastStatus: 'running',
+            lastError: null,
+            nextRunAt: computeNextRun(schedule, startedAt),
+            currentRun: null
+        });
+    }
+
+    try {
+        const project = storage.getProject(schedule.projectId, { withResults: false });
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const scheduled = schedule.entityId
+            ? project.entities.filter(e => e.id === schedule.entityId)
+            : project.entities;
+
+        if (scheduled.length === 0) {
+            throw new Error(schedule.entityId ? 'Entity not found' : 'Project has no entities');
+        }
+
+        const run = resume && schedule.currentRun
+            ? schedule.currentRun
+            : { pendingEntityIds: scheduled.map(e => e.id), taskIds: [], failed: [] };
+        const entities = scheduled.filter(e => run.pendingEntityIds.includes(e.id));
+        updateSchedule(schedule.id, { currentRun: run });
+
+        console.log(`[Scheduler] ${resume ? 'Resuming' : 'Running'} schedule ${schedule.id} for ${entities.length} entities`);
+
+        for (const entity of entities) {
+            // Entities left after the budget ran out are not parsed
+            const budgetError = checkProjectBudget(project);
+            if (budgetError) {
+                run.failed.push(budgetError);
+                break;
+            }
+
+            // The parsing resumed after a restart is joined, not started again (see startBackgroundParsing)
+            const { taskId, done } = startBackgroundParsing(project, entity, {
+                regions: resolveParsingRegions(project, entity, schedule.region),
+                devices: resolveParsingDevices(entity)
+            });
+            if (!run.taskIds.includes(taskId)) run.taskIds.push(taskId);
+            updateSchedule(schedule.id, { currentRun: run });
+
+            const task = await done;
+            if (task.status === 'error') {
+                run.failed.push(`${entity.name}: ${task.error}`);
+            }
+            run.pendingEntityIds = run.pendingEntityIds.filter(id => id !== entity.id);
+            updateSchedule(schedule.id, { currentRun: run });
+        }
+
+        updateSchedule(schedule.id, {
+            lastStatus: run.failed.length === 0 ? 'completed' : 'error',
+            lastError: run.failed.length > 0 ? run.failed.join('; ') : null,
+            lastTaskIds: run.taskIds,
+            lastCompletedAt: new Date().toISOString(),
+            currentRun: null
+        });
+    } catch (error) {
+        console.error(`[Scheduler] Schedule ${schedule.id} failed:`, error.message);
+        updateSchedule(schedule.id, {
+            lastStatus: 'error',
+            lastError: error.message,
+            lastCompletedAt: new Date().toISOString(),
+            currentRun: null
+        });
+    } finally {
+        runningSchedules.delete(schedule.id);
+    }
+}
+
+// Start all schedules whose next run is due (missed runs after a restart are caught up once)
+function runDueSchedules() {
+    const now = new Date();
+    const dueSchedules = loadSchedules().filter(s =>
+        s.enabled && !runningSchedules.has(s.id) && new Date(s.nextRunAt) <= now
+    );
+
+    for (const schedule of dueSchedules) {
+        runSchedule(schedule).catch(error => {
+            console.error(`[Scheduler] Unexpected error in schedule ${schedule.id}:`, error);
+        });
+    }
+}
+
+function startScheduler() {
+    const schedules = loadSchedules();
+
+    // Runs interrupted by a restart are continued with the entities they had not finished;
+    // runs recorded before currentRun was stored cannot be continued
+    const interrupted = schedules.filter(s => s.lastStatus === 'running');
+    const lost = interrupted.filter(s => !s.currentRun);
+    if (lost.length > 0) {
+        lost.forEach(s => {
+            s.lastStatus = 'error';
+            s.lastError = 'Прервано перезапуском сервера';
+        });
+        saveSchedules(schedules);
+    }
+
+    for (const schedule of interrupted.filter(s => s.currentRun)) {
+        runSchedule(schedule, { resume: true }).catch(error => {
+            console.error(`[Scheduler] Unexpected error in schedule ${schedule.id}:`, error);
+        });
+    }
+
+    console.log(`[Scheduler] Started with ${schedules.filter(s => s.enabled).length} active schedules`);
+    runDueSchedules();
+    return setInterval(runDueSchedules, SCHEDULER_INTERVAL);
+}
+
+// Get all schedules
+app.get('/api/schedules', (req, res) => {
+    res.json(loadSchedules());
+});
+
+// Get schedules of project
+app.get('/api/projects/:projectId/schedules', (req, res) => {
+    const schedules = loadSchedules().filter(s => s.projectId === req.params.projectId);
+    res.json(schedules);
+});
+
+// Create schedule for project or entity
+app.post('/api/projects/:projectId/schedules', (req, res) => {
+    const { entityId, frequency, time, timeZone, region } = req.body;
+    const dayOfWeek = req.body.dayOfWeek !== undefined ? parseInt(req.body.dayOfWeek) : undefined;
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (entityId && !project.entities.some(e => e.id === entityId)) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const validationError = validateSchedule({ frequency, time, dayOfWeek, timeZone, region });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = {
+        id: uuidv4(),
+        projectId: project.id,
+        entityId: entityId || null,
+        frequency,
+        time,
+        dayOfWeek: frequency === 'weekly' ? dayOfWeek : null,
+        timeZone: timeZone || SERVER_TIME_ZONE,
+        region: region || null,
+        enabled: true,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastStatus: null,
+        lastError: null,
+        createdAt: new Date().toISOString()
+    };
+    schedule.nextRunAt = computeNextRun(schedule);
+
+    const schedules = loadSchedules();
+    schedules.push(schedule);
+    saveSchedules(schedules);
+
+    res.json(schedule);
+});
+
+// Update schedule (frequency, time, day, time zone, region, enabled)
+app.patch('/api/schedules/:scheduleId', (req, res) => {
+    const schedules = loadSchedules();
+    const schedule = schedules.find(s => s.id === req.params.scheduleId);
+
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const updated = {
+        frequency: req.body.frequency ?? schedule.frequency,
+        time: req.body.time ?? schedule.time,
+        dayOfWeek: req.body.dayOfWeek !== undefined ? parseInt(req.body.dayOfWeek) : schedule.dayOfWeek,
+        timeZone: req.body.timeZone || schedule.timeZone || SERVER_TIME_ZONE,
+        region: req.body.region !== undefined ? (req.body.region || null) : schedule.region
+    };
+
+    const validationError = validateSchedule(updated);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    Object.assign(schedule, updated);
+    if (schedule.frequency !== 'weekly') {
+        schedule.dayOfWeek = null;
+    }
+    if (req.body.enabled !== undefined) {
+        schedule.enabled = !!req.body.enabled;
+    }
+    schedule.nextRunAt = computeNextRun(schedule);
+
+    saveSchedules(schedules);
+    res.json(schedule);
+});
+
+// Delete schedule
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+    const schedules = loadSchedules();
+    const remaining = schedules.filter(s => s.id !== req.params.scheduleId);
+
+    if (remaining.length === schedules.length) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    saveSchedules(remaining);
+    res.json({ success: true });
+});
+
+// Run schedule immediately (does not change its regular timing)
+app.post('/api/schedules/:scheduleId/run', (req, res) => {
+    const schedule = loadSchedules().find(s => s.id === req.params.scheduleId);
+
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    if (runningSchedules.has(schedule.id)) {
+        return res.status(409).json({ error: 'Schedule is already running' });
+    }
+
+    runSchedule(schedule).catch(error => {
+        console.error(`[Scheduler] Unexpected error in schedule ${schedule.id}:`, error);
+    });
+
+    res.json({ success: true, status: 'started' });
+});
+
+// Project-wide parse queue, persisted to the database on every status change (see recoverParseJobs)
+// Structure: { id, projectId, projectName, status, concurrency, engineRetries, region, filter, items, activeWorkers, createdAt, completedAt }
+// Item: { entityId, entityName, status: pending|running|completed|error|cancelled, taskId, failedEngines, error }
+const parseJobs = new Map();
+const PARSE_JOB_FILTERS = ['all', 'never', 'stale'];
+const MAX_PARSE_JOB_CONCURRENCY = 5;
+const MAX_FINISHED_PARSE_JOBS = 10;
+
+// Select entities for a parse-all job
+function selectEntitiesForParsing(project, { filter = 'all', olderThanDays = 7, entityIds = null }) {
+    let entities = project.entities;
+
+    if (Array.isArray(entityIds) && entityIds.length > 0) {
+        entities = entities.filter(e => entityIds.includes(e.id));
+    }
+
+    if (filter === 'never') {
+        entities = entities.filter(e => !e.parsings || e.parsings.length === 0);
+    } else if (filter === 'stale') {
+        const threshold = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        entities = entities.filter(e => {
+            const latest = e.parsings?.[e.parsings.length - 1];
+            return !latest || new Date(latest.date).getTime() < threshold;
+        });
+    }
+
+    return entities;
+}
+
+// Summary of job progress for API responses
+function getParseJobSummary(job) {
+    const counts = { pending: 0, running: 0, completed: 0, error: 0, cancelled: 0 };
+    job.items.forEach(item => { counts[item.status]++; });
+
+    return {
+        ...job,
+        total: job.items.length,
+        counts,
+        progress: job.items.length > 0
+            ? Math.round(((counts.completed + counts.error + counts.cancelled) / job.items.length) * 100)
+            : 100
+    };
+}
+
+// Drop oldest finished jobs from memory
+function pruneFinishedParseJobs() {
+    const finished = [...parseJobs.values()]
+        .filter(j => ['completed', 'cancelled'].includes(j.status))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    finished.slice(MAX_FINISHED_PARSE_JOBS).forEach(j => {
+        parseJobs.delete(j.id);
+        storage.deleteParseJob(j.id);
+    });
+}
+
+// Write job state to the database (worker count is runtime state)
+function persistParseJob(job) {
+    const { activeWorkers, ...record } = job;
+    storage.saveParseJob(record);
+}
+
+// Parse one entity of a job and set the item status from the finished task
+async function runParseJobItem(job, item) {
+    const project = storage.getProject(job.projectId, { withResults: false });
+    const entity = project?.entities.find(e => e.id === item.entityId);
+
+    if (!entity) {
+        item.status = 'error';
+        item.error = 'Entity not found';
+        return;
+    }
+
+    // Budget may run out while the job is in progress
+    const budgetError = checkProjectBudget(project);
+    if (budgetError) {
+        item.status = 'error';
+        item.error = budgetError;
+        return;
+    }
+
+    const { taskId, done } = startBackgroundParsing(project, entity, {
+        regions: resolveParsingRegions(project, entity, job.region),
+        devices: resolveParsingDevices(entity)
+    }, {
+        engineRetries: job.engineRetries
+    });
+    item.taskId = taskId;
+    persistParseJob(job);
+
+    await finishParseJobItem(item, entity, done);
+}
+
+// Wait for the parsing task of an item and set the item status from it
+async function finishParseJobItem(item, entity, done) {
+    const task = await done;
+    item.completedAt = new Date().toISOString();
+    item.failedEngines = task.failedEngines || [];
+
+    if (task.status === 'cancelled') {
+        item.status = 'cancelled';
+    } else if (task.status === 'error') {
+        item.status = 'error';
+        item.error = task.error;
+    } else if (item.failedEngines.length > 0 && item.failedEngines.length === entity.engines.length * task.regions.length * task.devices.length) {
+        item.status = 'error';
+        item.error = 'Нет результатов ни от одной поисковой системы';
+    } else {
+        item.status = 'completed';
+    }
+}
+
+// Worker: takes pending items one by one while the job is running.
+// An item that fails to start is marked as error, so the job can still complete.
+// resumed - item whose parsing was resumed after a restart: { item, entity, done }, awaited first
+async function runParseJobWorker(job, resumed = null) {
+    if (resumed) {
+        await finishParseJobItem(resumed.item, resumed.entity, resumed.done);
+        persistParseJob(job);
+    }
+
+    while (job.status === 'running') {
+        const item = job.items.find(i => i.status === 'pending');
+        if (!item) break;
+
+        item.status = 'running';
+        item.startedAt = new Date().toISOString();
+        persistParseJob(job);
+
+        try {
+            await runParseJobItem(job, item);
+        } catch (error) {
+            console.error(`[Parse Queue] Entity ${item.entityName} of job ${job.id} failed:`, error);
+            item.status = 'error';
+            item.error = error.message;
+            item.completedAt = new Date().toISOString();
+        }
+        persistParseJob(job);
+    }
+}
+
+// Start a worker; the job is finalized when the last worker stops
+function startParseJobWorker(job, resumed = null) {
+    job.activeWorkers++;
+    runParseJobWorker(job, resumed)
+        .catch(error => {
+            console.error(`[Parse Queue] Worker of job ${job.id} failed:`, error);
+        })
+        .finally(() => {
+            job.activeWorkers--;
+            if (job.activeWorkers === 0) {
+                finalizeParseJob(job);
+            }
+        });
+}
+
+// Start workers up to the job concurrency
+function spawnParseJobWorkers(job) {
+    const pendingCount = job.items.filter(i => i.status === 'pending').length;
+    const workerCount = Math.min(job.concurrency - job.activeWorkers, pendingCount);
+
+    for (let i = 0; i < workerCount; i++) {
+        startParseJobWorker(job);
+    }
+}
+
+// On boot (after recoverInterruptedParsingTasks): load the jobs and continue the active ones.
+// Running items wait for their resumed parsing, items whose parsing was not resumed take the status of its task record,
+// items that had not started their parsing yet go back to pending
+function recoverParseJobs() {
+    for (const job of storage.listParseJobs()) {
+        job.activeWorkers = 0;
+        parseJobs.set(job.id, job);
+        if (!['running', 'paused'].includes(job.status)) continue;
+
+        const project = storage.getProject(job.projectId, { withResults: false });
+        const resumed = [];
+
+        for (const item of job.items.filter(i => i.status === 'running')) {
+            const done = item.taskId && parsingCompletions.get(item.taskId);
+            const entity = project?.entities.find(e => e.id === item.entityId);
+            const record = item.taskId && storage.getParsingTask(item.taskId);
+
+            if (done && entity) {
+                resumed.push({ item, entity, done });
+            } else if (!item.taskId) {
+                item.status = 'pending';
+            } else {
+                item.status = ['completed', 'cancelled'].includes(record?.status) ? record.status : 'error';
+                item.error = item.status === 'error' ? record?.error || 'Парсинг прерван перезапуском сервера' : null;
+                item.failedEngines = record?.failedEngines || [];
+                item.completedAt = record?.completedAt || new Date().toISOString();
+            }
+        }
+
+        persistParseJob(job);
+        console.log(`[Parse Queue] Job ${job.id} restored (${job.status}), ${resumed.length} parsings resumed`);
+
+        resumed.forEach(entry => startParseJobWorker(job, entry));
+        if (job.status === 'running') {
+            spawnParseJobWorkers(job);
+            if (job.activeWorkers === 0) {
+                finalizeParseJob(job);
+            }
+        }
+    }
+}
+
+// Mark running job as completed once nothing is left (paused jobs keep their pending items)
+function finalizeParseJob(job) {
+    if (job.status !== 'running') return;
+    if (job.items.some(i => i.status === 'pending' || i.status === 'running')) return;
+
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    persistParseJob(job);
+    console.log(`[Parse Queue] Job ${job.id} completed for project ${job.projectName}`);
+    pruneFinishedParseJobs();
+}
+
+// Get all parse jobs
+app.get('/api/parse-jobs', (req, res) => {
+    const jobs = [...parseJobs.values()]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(getParseJobSummary);
+    res.json(jobs);
+});
+
+// Get parse job
+app.get('/api/parse-jobs/:jobId', (req, res) => {
+    const job = parseJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Parse job not found' });
+    }
+
+    res.json(getParseJobSummary(job));
+});
+
+// Enqueue parsing of all (or filtered) project entities
+app.post('/api/projects/:projectId/parse-all', (req, res) => {
+    const { filter = 'all', entityIds, region } = req.body;
+    const olderThanDays = parseInt(req.body.olderThanDays) || 7;
+    const concurrency = Math.min(Math.max(parseInt(req.body.concurrency) || 2, 1), MAX_PARSE_JOB_CONCURRENCY);
+    const engineRetries = Math.min(Math.max(parseInt(req.body.engineRetries ?? 2) || 0, 0), 5);
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!PARSE_JOB_FILTERS.includes(filter)) {
+        return res.status(400).json({ error: `Filter must be one of: ${PARSE_JOB_FILTERS.join(', ')}` });
+    }
+
+    if (region && !storage.getRegion(region)) {
+        return res.status(400).json({ error: 'Unknown region' });
+    }
+
+    if (!isSerpProviderConfigured()) {
+        return res.status(400).json({ error: 'SERP provider not configured' });
+    }
+
+    const budgetError = checkProjectBudget(project);
+    if (budgetError) {
+        return res.status(402).json({ error: budgetError, budget: getProjectBudget(project) });
+    }
+
+    const activeJob = [...parseJobs.values()].find(j =>
+        j.projectId === project.id && ['running', 'paused'].includes(j.status)
+    );
+    if (activeJob) {
+        return res.status(409).json({ error: 'Parse job is already active for this project', jobId: activeJob.id });
+    }
+
+    const entities = selectEntitiesForParsing(project, { filter, olderThanDays, entityIds });
+
+    if (entities.length === 0) {
+        return res.status(400).json({ error: 'No entities match the filter' });
+    }
+
+    const job = {
+        id: uuidv4(),
+        projectId: project.id,
+        projectName: project.name,
+        status: 'running',
+        concurrency,
+        engineRetries,
+        region: region || null,
+        filter: { type: filter, olderThanDays: filter === 'stale' ? olderThanDays : null },
+        items: entities.map(e => ({
+            entityId: e.id,
+            entityName: e.name,
+            status: 'pending',
+            taskId: null,
+            failedEngines: [],
+            error: null
+        })),
+        activeWorkers: 0,
+        createdAt: new Date().toISOString(),
+        completedAt: null
+    };
+
+    parseJobs.set(job.id, job);
+    persistParseJob(job);
+    console.log(`[Parse Queue] Job ${job.id}: ${entities.length} entities, concurrency ${concurrency}`);
+
+    spawnParseJobWorkers(job);
+
+    res.json(getParseJobSummary(job));
+});
+
+// Pause job: running tasks finish, pending ones wait
+app.post('/api/parse-jobs/:jobId/pause', (req, res) => {
+    const job = parseJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Parse job not found' });
+    }
+
+    if (job.status !== 'running') {
+        return res.status(409).json({ error: `Cannot pause job with status ${job.status}` });
+    }
+
+    job.status = 'paused';
+    persistParseJob(job);
+    res.json(getParseJobSummary(job));
+});
+
+// Resume paused job
+app.post('/api/parse-jobs/:jobId/resume', (req, res) => {
+    const job = parseJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Parse job not found' });
+    }
+
+    if (job.status !== 'paused') {
+        return res.status(409).json({ error: `Cannot resume job with status ${job.status}` });
+    }
+
+    job.status = 'running';
+    persistParseJob(job);
+    spawnParseJobWorkers(job);
+    if (job.activeWorkers === 0) {
+        finalizeParseJob(job);
+    }
+
+    res.json(getParseJobSummary(job));
+});
+
+// Cancel job: pending items are dropped, running tasks are stopped before the next engine
+app.post('/api/parse-jobs/:jobId/cancel', (req, res) => {
+    const job = parseJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Parse job not found' });
+    }
+
+    if (!['running', 'paused'].includes(job.status)) {
+        return res.status(409).json({ error: `Cannot cancel job with status ${job.status}` });
+    }
+
+    job.status = 'cancelled';
+    job.completedAt = new Date().toISOString();
+
+    job.items.forEach(item => {
+        if (item.status === 'pending') {
+            item.status = 'cancelled';
+        } else if (item.status === 'running' && activeParsings.has(item.taskId)) {
+            activeParsings.get(item.taskId).cancelRequested = true;
+        }
+    });
+
+    persistParseJob(job);
+    console.log(`[Parse Queue] Job ${job.id} cancelled`);
+    pruneFinishedParseJobs();
+    res.json(getParseJobSummary(job));
+});
+
+// Get parsing comparison
+app.get('/api/projects/:projectId/entities/:entityId/compare', (req, res) => {
+    const { parsingIds } = req.query;
+
+    const entity = storage.getEntity(req.params.projectId, req.params.entityId);
+
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    let parsingsToCompare = entity.parsings;
+
+    if (parsingIds) {
+        const ids = parsingIds.split(',');
+        parsingsToCompare = entity.parsings.filter(p => ids.includes(p.id));
+    }
+
+    // Calculate comparison data
+    const comparison = {
+        parsings: parsingsToCompare,
+        trends: {}
+    };
+
+    // Calculate trends for each engine
+    const engines = [...new Set(parsingsToCompare.flatMap(p => Object.keys(p.engines)))];
+
+    engines.forEach(engine => {
+        comparison.trends[engine] = {
+            dates: [],
+            positivePercent: [],
+            negativePercent: [],
+            balance: []
+        };
+
+        parsingsToCompare.forEach(parsing => {
+            if (parsing.engines[engine]) {
+                comparison.trends[engine].dates.push(parsing.date);
+                comparison.trends[engine].positivePercent.push(parseFloat(parsing.engines[engine].metrics.positivePercent));
+                comparison.trends[engine].negativePercent.push(parseFloat(parsing.engines[engine].metrics.negativePercent));
+                // null for parsings without a rating (nothing counted)
+                comparison.trends[engine].balance.push(parsing.engines[engine].metrics.balance === null ? null : parseFloat(parsing.engines[engine].metrics.balance));
+            }
+        });
+    });
+
+    res.json(comparison);
+});
+
+// Delete parsing from history
+app.delete('/api/projects/:projectId/entities/:entityId/parsings/:parsingId', (req, res) => {
+    const entity = storage.getEntity(req.params.projectId, req.params.entityId, { withResults: false });
+
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    if (!storage.deleteParsing(entity.id, req.params.parsingId)) {
+        return res.status(404).json({ error: 'Parsing not found' });
+    }
+
+    res.json({ success: true });
+});
+
+// Update result sentiment or relevance manually: { engine, sentiment, relevance }.
+// The sentiment label is remembered for the URL and reused by later parsings of the project;
+// relevance null returns the result to the verdict of the local rules
+app.patch('/api/projects/:projectId/entities/:entityId/parsings/:parsingId/results/:position', (req, res) => {
+    const { engine, sentiment, relevance } = req.body;
+
+    if (sentiment === undefined && relevance === undefined) {
+        return res.status(400).json({ error: 'Sentiment or relevance is required' });
+    }
+    if (sentiment !== undefined && !SENTIMENTS.includes(sentiment)) {
+        return res.status(400).json({ error: `Sentiment must be one of: ${SENTIMENTS.join(', ')}` });
+    }
+    if (relevance !== undefined && relevance !== null && !resultRelevance.RELEVANCES.includes(relevance)) {
+        return res.status(400).json({ error: `Relevance must be one of: ${resultRelevance.RELEVANCES.join(', ')} or null` });
+    }
+
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+    const entity = project?.entities.find(e => e.id === req.params.entityId);
+
+    if (!entity) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    if (!entity.parsings.some(p => p.id === req.params.parsingId)) {
+        return res.status(404).json({ error: 'Parsing not found' });
+    }
+
+    const position = parseInt(req.params.position);
+    let url = null;
+
+    // Applied to fresh data under the write lock, so concurrent changes of the parsing are not lost
+    const parsing = storage.modifyParsingEngine(entity.id, req.params.parsingId, engine, engineData => {
+        const index = engineData.results.findIndex(r => r.position === position);
+        if (index < 0) return false;
+        const result = engineData.results[index];
+
+        if (sentiment !== undefined) {
+            result.sentiment = sentiment;
+            result.sentimentSource = 'manual';
+            delete result.sentimentLabel;
+            url = result.url;
+        }
+
+        if (relevance === null) {
+            for (const field of ['relevance', 'relevanceSource', 'relevanceConfidence', 'relevanceComment']) delete result[field];
+            engineData.results[index] = resultRelevance.applyRelevanceRules([result], sentimentSubject.resolveSubject(project, entity))[0];
+        } else if (relevance !== undefined) {
+            Object.assign(result, { relevance, relevanceSource: 'manual', relevanceComment: 'Вручную' });
+            delete result.relevanceConfidence;
+        }
+
+        // Recalculate metrics
+        engineData.metrics = calculateMetrics(engineData.results, engineData.features);
+    });
+
+    if (!parsing) {
+        return res.status(404).json({ error: 'Result not found' });
+    }
+
+    if (url) {
+        storage.saveUrlLabel(req.params.projectId, { url, sentiment, source: 'manual' });
+    }
+
+    res.json(parsing);
+});
+
+// Remembered URL sentiment labels of a project
+app.get('/api/projects/:projectId/url-labels', (req, res) => {
+    if (!storage.getProject(req.params.projectId, { withResults: false })) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(storage.listUrlLabels(req.params.projectId));
+});
+
+// Forget the label of a URL (?url=), later parsings analyze it again
+app.delete('/api/projects/:projectId/url-labels', (req, res) => {
+    if (!req.query.url) {
+        return res.status(400).json({ error: 'url query parameter is required' });
+    }
 
-    if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+    if (!storage.deleteUrlLabel(req.params.projectId, req.query.url)) {
+        return res.status(404).json({ error: 'Label not found' });
     }
 
-    project.entities = project.entities.filter(e => e.id !== req.params.entityId);
-    saveProjects(projects);
     res.json({ success: true });
 });
 
-// Run parsing for entity (wrapped with asyncHandler for error safety)
-app.post('/api/projects/:projectId/entities/:entityId/parse', asyncHandler(async (req, res) => {
-    const { region } = req.body;
-    const selectedRegion = region || 'ru';
+// Project sentiment lexicon: project entries and the default lexicon they extend
+app.get('/api/projects/:projectId/lexicon', (req, res) => {
+    if (!storage.getProject(req.params.projectId, { withResults: false })) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
 
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+    res.json({
+        entries: storage.listLexiconEntries(req.params.projectId)
+            .map(entry => ({ ...entry, overrides: sentimentLexicon.getDefaultEntry(entry.stem) })),
+        defaults: {
+            positive: sentimentLexicon.SENTIMENT_WORDS.positive,
+            negative: sentimentLexicon.SENTIMENT_WORDS.negative,
+            phrases: sentimentLexicon.SENTIMENT_PHRASES,
+            negations: sentimentLexicon.NEGATION_WORDS,
+            exclusions: sentimentLexicon.FALSE_HITS
+        }
+    });
+});
 
-    if (!project) {
+// Add or replace a lexicon entry { stem, kind, weight, note }; applies to parsings started after the change
+app.post('/api/projects/:projectId/lexicon', (req, res) => {
+    if (!storage.getProject(req.params.projectId, { withResults: false })) {
         return res.status(404).json({ error: 'Project not found' });
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
+    const error = sentimentLexicon.validateLexiconEntry(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-    if (!entity) {
-        return res.status(404).json({ error: 'Entity not found' });
+    const entry = storage.saveLexiconEntry(req.params.projectId, sentimentLexicon.normalizeLexiconEntry(req.body));
+    res.json({ ...entry, overrides: sentimentLexicon.getDefaultEntry(entry.stem) });
+});
+
+app.delete('/api/projects/:projectId/lexicon', (req, res) => {
+    if (!req.query.stem) {
+        return res.status(400).json({ error: 'stem query parameter is required' });
     }
 
-    const regionInfo = REGIONS[selectedRegion] || REGIONS['ru'];
+    if (!storage.deleteLexiconEntry(req.params.projectId, String(req.query.stem).trim().toLowerCase())) {
+        return res.status(404).json({ error: 'Lexicon entry not found' });
+    }
 
-    const parsingResults = {
-        id: uuidv4(),
-        date: new Date().toISOString(),
-        region: {
-            code: regionInfo.code,
-            name: regionInfo.name
-        },
-        engines: {}
-    };
+    res.json({ success: true });
+});
 
-    // Run parsing for each engine
-    for (const engine of entity.engines) {
-        const results = await realSearch(entity.name, engine, entity.depth, selectedRegion);
-        const metrics = calculateMetrics(results);
+// Local analysis of a text with the project lexicon: sentiment, scores and the markers that fired
+// Body: { title, snippet, domain, entityId } - entityId selects the reputation subject (project subject by default)
+app.post('/api/projects/:projectId/lexicon/test', (req, res) => {
+    const { title = '', snippet = '', domain = '', entityId } = req.body;
+    const project = storage.getProject(req.params.projectId, { withResults: false });
 
-        parsingResults.engines[engine] = {
-            results,
-            metrics
-        };
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
     }
 
-    entity.parsings.push(parsingResults);
-    saveProjects(projects);
-
-    res.json(parsingResults);
-}));
+    if (!String(title).trim() && !String(snippet).trim()) {
+        return res.status(400).json({ error: 'Title or snippet is required' });
+    }
 
-// Start background parsing for entity
-app.post('/api/projects/:projectId/entities/:entityId/parse-background', asyncHandler(async (req, res) => {
-    const { region } = req.body;
-    const { projectId, entityId } = req.params;
+    const entity = entityId ? project.entities.find(e => e.id === entityId) : null;
+    const subject = entity || project.subject?.name ? sentimentSubject.resolveSubject(project, entity) : null;
+    const lexicon = getProjectLexicon(project.id);
+    const domains = getProjectDomains(project.id);
+    const score = scoreSentiment(title, snippet, domain, subject, lexicon, domains);
 
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === projectId);
+    res.json({
+        ...score,
+        subject,
+        comment: generateSentimentExplanation(title, snippet, domain, score.sentiment, subject, lexicon, domains)
+    });
+});
 
-    if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+// Sentiment accuracy evaluation: the local analyzer and Claude against the manual labels of the project
+// (every manual sentiment correction is a label, see sentiment-evaluation.js)
+const SENTIMENT_EVALUATION_ANALYZERS = ['local', 'claude'];
+const SENTIMENT_EVALUATION_CLAUDE_LIMIT = 500;   // Claude requests are paid: larger datasets are evaluated on the newest labels
+
+// Predictions of an analyzer for the labeled results, null for results it did not rate
+// onProgress(share) - share of the Claude requests done
+async function predictLabeledSentiments(analyzer, project, items, onProgress = null) {
+    const lexicon = getProjectLexicon(project.id);
+    const domains = getProjectDomains(project.id);
+    const subjectOf = item => sentimentSubject.resolveSubject(project, project.entities.find(e => e.id === item.entityId));
+
+    if (analyzer === 'local') {
+        return items.map(item => {
+            const snippet = getAnalysisSnippet(item);
+            const subject = subjectOf(item);
+            const { sentiment } = scoreSentiment(item.title, snippet, item.domain, subject, lexicon, domains);
+            return {
+                sentiment,
+                comment: generateSentimentExplanation(item.title, snippet, item.domain, sentiment, subject, lexicon, domains)
+            };
+        });
     }
 
-    const entity = project.entities.find(e => e.id === entityId);
+    // Claude: one batch series per entity, each with its reputation subject and search query
+    const client = getAnthropicClient();
+    const settings = getClaudeSettings(project.id);
+    const predictions = new Array(items.length).fill(null);
+    const byEntity = new Map();
+    items.forEach((item, i) => {
+        if (!byEntity.has(item.entityId)) byEntity.set(item.entityId, []);
+        byEntity.get(item.entityId).push(i);
+    });
 
-    if (!entity) {
-        return res.status(404).json({ error: 'Entity not found' });
+    let done = 0;
+    for (const indexes of byEntity.values()) {
+        const group = indexes.map(i => items[i]);
+        const onGroupProgress = onProgress && (share => onProgress((done + share * group.length) / items.length));
+        const analyses = await analyzeSentimentItemsWithClaude(client, group, subjectOf(group[0]), onGroupProgress, lexicon,
+            { settings, query: group[0].entityName });
+        done += group.length;
+        analyses.forEach((analysis, j) => {
+            // Local fallbacks of failed requests are not Claude predictions
+            if (analysis.source !== 'claude') return;
+            predictions[indexes[j]] = { sentiment: analysis.sentiment, confidence: analysis.confidence, comment: analysis.explanation };
+        });
     }
+    return predictions;
+}
 
-    // Use provided region, or project region, or default to 'ru'
-    const selectedRegion = region || project.region || 'ru';
+function summarizeLabeledResult(item) {
+    return {
+        url: item.url,
+        title: item.title,
+        domain: item.domain,
+        entityId: item.entityId,
+        entityName: item.entityName,
+        parsingDate: item.parsingDate,
+        sentiment: item.label.sentiment,
+        labeledAt: item.label.updatedAt
+    };
+}
 
-    // Check if parsing already running for this entity
+// Run the analyzers on the labeled results in background: Claude needs minutes for a large dataset.
+// The task lives in activeParsings with type 'sentiment-evaluation', so its progress is polled and persisted like a parsing;
+// the report { dataset, reports, evaluatedAt } is saved in task.evaluation
+function startSentimentEvaluation(project, entity, analyzers, items) {
+    // One evaluation of a project at a time
     for (const [taskId, task] of activeParsings) {
-        if (task.entityId === entityId && task.status === 'running') {
-            return res.json({ taskId, alreadyRunning: true });
+        if (task.type === 'sentiment-evaluation' && task.status === 'running' && task.projectId === project.id) {
+            return { taskId, alreadyRunning: true };
         }
     }
 
     const taskId = uuidv4();
-    const regionInfo = REGIONS[selectedRegion] || REGIONS['ru'];
-    const totalSteps = entity.engines.length * 2 + 1; // search + sentiment for each engine + save
 
-    // Initialize task
     activeParsings.set(taskId, {
-        projectId,
-        entityId,
-        entityName: entity.name,
+        type: 'sentiment-evaluation',
+        projectId: project.id,
+        entityId: entity?.id || null,
+        entityName: entity ? entity.name : 'Весь проект',
+        analyzers,
         status: 'running',
         progress: 0,
         currentStep: 'Инициализация...',
-        totalSteps,
-        completedSteps: 0,
-        result: null,
+        evaluation: null,
         error: null,
         startedAt: new Date().toISOString()
     });
 
-    // Start background parsing
-    (async () => {
+    const done = (async () => {
         const task = activeParsings.get(taskId);
-        try {
-            const parsingResults = {
-                id: uuidv4(),
-                date: new Date().toISOString(),
-                region: {
-                    code: regionInfo.code,
-                    name: regionInfo.name
-                },
-                engines: {}
-            };
-
-            let completedSteps = 0;
-            const engineCount = entity.engines.length;
-
-            // Run parsing for each engine
-            for (let engineIndex = 0; engineIndex < entity.engines.length; engineIndex++) {
-                const engine = entity.engines[engineIndex];
-                const engineName = engine === 'google' ? 'Google' : 'Яндекс';
-
-                // Progress callback for detailed updates
-                const updateProgress = (subStep, subProgress) => {
-                    // Each engine has 2 main steps (search + analysis)
-                    // Calculate overall progress based on engine index and sub-step
-                    const engineWeight = 1 / engineCount;
-                    const baseProgress = engineIndex * engineWeight;
-                    const stepProgress = (subStep + subProgress) * engineWeight / 2;
-                    task.progress = Math.round((baseProgress + stepProgress) * 100);
-                    task.completedSteps = completedSteps;
-                };
-
-                // Step 1: Search
-                task.currentStep = `Поиск в ${engineName}...`;
-                updateProgress(0, 0);
-
-                const results = await realSearchWithProgress(
-                    entity.name,
-                    engine,
-                    entity.depth,
-                    selectedRegion,
-                    (searchProgress, searchStep) => {
-                        task.currentStep = `${engineName}: ${searchStep}`;
-                        updateProgress(0, searchProgress);
-                    }
-                );
-                completedSteps++;
-                updateProgress(1, 0);
-
-                // Step 2: Sentiment analysis
-                task.currentStep = `Анализ тональности ${engineName}...`;
-
-                const metrics = await calculateMetricsWithProgress(
-                    results,
-                    (analysisProgress, analysisStep) => {
-                        task.currentStep = `${engineName}: ${analysisStep}`;
-                        updateProgress(1, analysisProgress);
-                    }
-                );
-                completedSteps++;
-                updateProgress(2, 0);
-
-                parsingResults.engines[engine] = {
-                    results,
-                    metrics
-                };
-            }
+        persistParsingTask(taskId, task);
 
-            // Step 3: Save results
-            task.currentStep = 'Сохранение результатов...';
-
-            // Reload projects to get fresh data
-            const freshProjects = loadProjects();
-            const freshProject = freshProjects.find(p => p.id === projectId);
-            const freshEntity = freshProject?.entities.find(e => e.id === entityId);
-
-            if (freshEntity) {
-                freshEntity.parsings.push(parsingResults);
-                saveProjects(freshProjects);
+        try {
+            const reports = {};
+            for (const [index, analyzer] of analyzers.entries()) {
+                const evaluated = analyzer === 'claude'
+                    ? [...items].sort((a, b) => String(b.label.updatedAt).localeCompare(String(a.label.updatedAt))).slice(0, SENTIMENT_EVALUATION_CLAUDE_LIMIT)
+                    : items;
+                task.currentStep = `Проверка ${analyzer === 'claude' ? 'Claude' : 'словаря'}: ${evaluated.length} результатов`;
+
+                const predictions = await predictLabeledSentiments(analyzer, project, evaluated, share => {
+                    task.progress = Math.round(((index + share) / analyzers.length) * 100);
+                    persistParsingTaskProgress(taskId, task);
+                });
+                reports[analyzer] = sentimentEvaluation.evaluatePredictions(evaluated, predictions);
+                task.progress = Math.round(((index + 1) / analyzers.length) * 100);
+                console.log(`[Evaluation] ${project.name}: ${analyzer} accuracy ${reports[analyzer].accuracy} on ${reports[analyzer].rated}/${evaluated.length} labeled results`);
             }
 
-            completedSteps++;
-            task.completedSteps = completedSteps;
-            task.progress = 100;
+            task.evaluation = {
+                dataset: { total: items.length, counts: sentimentEvaluation.countLabels(items) },
+                reports,
+                evaluatedAt: new Date().toISOString()
+            };
             task.status = 'completed';
             task.currentStep = 'Завершено';
-            task.result = parsingResults;
-            task.completedAt = new Date().toISOString();
-
-            console.log(`[Background Parsing] Task ${taskId} completed for entity ${entity.name}`);
-
         } catch (error) {
-            console.error(`[Background Parsing] Task ${taskId} failed:`, error);
+            console.error(`[Evaluation] ${taskId} failed:`, error.message);
             task.status = 'error';
             task.error = error.message;
             task.currentStep = 'Ошибка';
         }
 
-        // Clean up old tasks after 5 minutes
+        task.completedAt = new Date().toISOString();
+        persistParsingTask(taskId, task);
+        parsingCompletions.delete(taskId);
+
         setTimeout(() => {
             activeParsings.delete(taskId);
         }, 5 * 60 * 1000);
-    })();
 
-    res.json({ taskId, status: 'started' });
-}));
+        return task;
+    })();
+    parsingCompletions.set(taskId, done);
 
-// Get parsing task status
-app.get('/api/parsing-tasks/:taskId', (req, res) => {
-    const task = activeParsings.get(req.params.taskId);
+    return { taskId, alreadyRunning: false, done };
+}
 
-    if (!task) {
-        return res.status(404).json({ error: 'Task not found or expired' });
+// Manually labeled results of the project (?entityId= limits to one entity)
+app.get('/api/projects/:projectId/sentiment-evaluation/dataset', (req, res) => {
+    if (!storage.getProject(req.params.projectId, { withResults: false })) {
+        return res.status(404).json({ error: 'Project not found' });
     }
 
-    res.json(task);
-});
-
-// Get all active parsing tasks
-app.get('/api/parsing-tasks', (req, res) => {
-    const tasks = [];
-    for (const [taskId, task] of activeParsings) {
-        tasks.push({ taskId, ...task });
-    }
-    res.json(tasks);
+    const items = storage.listLabeledResults(req.params.projectId, { entityId: req.query.entityId || null });
+    res.json({
+        total: items.length,
+        counts: sentimentEvaluation.countLabels(items),
+        items: items.map(summarizeLabeledResult)
+    });
 });
 
-// Get parsing comparison
-app.get('/api/projects/:projectId/entities/:entityId/compare', (req, res) => {
-    const { parsingIds } = req.query;
-
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+// Start the evaluation of the analyzers on the labeled results: { analyzers: ['local', 'claude'], entityId }
+// Returns { taskId }; progress: GET /api/parsing-tasks/:taskId, its evaluation field holds
+// { dataset: { total, counts }, reports: { local, claude } } with accuracy, confusion matrix and the worst errors
+app.post('/api/projects/:projectId/sentiment-evaluation', (req, res) => {
+    const { analyzers = ['local'], entityId = null } = req.body;
+    const project = storage.getProject(req.params.projectId, { withResults: false });
 
     if (!project) {
         return res.status(404).json({ error: 'Project not found' });
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
+    if (!Array.isArray(analyzers) || analyzers.length === 0 || !analyzers.every(a => SENTIMENT_EVALUATION_ANALYZERS.includes(a))) {
+        return res.status(400).json({ error: `Analyzers must be a list of: ${SENTIMENT_EVALUATION_ANALYZERS.join(', ')}` });
+    }
 
-    if (!entity) {
+    if (entityId && !project.entities.some(e => e.id === entityId)) {
         return res.status(404).json({ error: 'Entity not found' });
     }
 
-    let parsingsToCompare = entity.parsings;
-
-    if (parsingIds) {
-        const ids = parsingIds.split(',');
-        parsingsToCompare = entity.parsings.filter(p => ids.includes(p.id));
+    if (analyzers.includes('claude') && !getAnthropicClient()) {
+        return res.status(400).json({ error: 'Claude API key not configured' });
     }
 
-    // Calculate comparison data
-    const comparison = {
-        parsings: parsingsToCompare,
-        trends: {}
-    };
-
-    // Calculate trends for each engine
-    const engines = [...new Set(parsingsToCompare.flatMap(p => Object.keys(p.engines)))];
+    const items = storage.listLabeledResults(project.id, { entityId });
+    if (items.length === 0) {
+        return res.status(400).json({ error: 'No manually labeled results: correct the sentiment of results in the report first' });
+    }
 
-    engines.forEach(engine => {
-        comparison.trends[engine] = {
-            dates: [],
-            positivePercent: [],
-            negativePercent: [],
-            balance: []
-        };
+    const entity = entityId ? project.entities.find(e => e.id === entityId) : null;
+    const { taskId, alreadyRunning } = startSentimentEvaluation(project, entity, analyzers, items);
 
-        parsingsToCompare.forEach(parsing => {
-            if (parsing.engines[engine]) {
-                comparison.trends[engine].dates.push(parsing.date);
-                comparison.trends[engine].positivePercent.push(parseFloat(parsing.engines[engine].metrics.positivePercent));
-                comparison.trends[engine].negativePercent.push(parseFloat(parsing.engines[engine].metrics.negativePercent));
-                comparison.trends[engine].balance.push(parseFloat(parsing.engines[engine].metrics.balance));
-            }
-        });
-    });
+    if (alreadyRunning) {
+        return res.json({ taskId, alreadyRunning: true });
+    }
 
-    res.json(comparison);
+    res.json({ taskId, status: 'started' });
 });
 
-// Delete parsing from history
-app.delete('/api/projects/:projectId/entities/:entityId/parsings/:parsingId', (req, res) => {
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+// Rebuild results of a parsing from its archived raw responses (after parser improvements)
+// Engines without an archive are left as they are; sentiment and metrics are recalculated, manual relevance verdicts and deep analysis are kept
+app.post('/api/projects/:projectId/entities/:entityId/parsings/:parsingId/rebuild', asyncHandler(async (req, res) => {
+    const project = storage.getProject(req.params.projectId, { withResults: false });
+    const entity = project?.entities.find(e => e.id === req.params.entityId);
+    const parsing = entity && storage.getParsing(entity.id, req.params.parsingId);
 
-    if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+    if (!parsing) {
+        return res.status(404).json({ error: 'Parsing not found' });
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
+    const { archiveDir } = getSerpSettings();
+    const subject = sentimentSubject.resolveSubject(project, entity);
+    const rebuilt = [];
+    const skipped = [];
 
-    if (!entity) {
-        return res.status(404).json({ error: 'Entity not found' });
-    }
+    for (const [engine, engineData] of Object.entries(parsing.engines)) {
+        const entry = engineData.search?.archive && storage.getSerpArchive(engineData.search.archive.id);
+        const provider = entry && serpProviders.getProvider(entry.provider);
+        const raw = entry ? serpArchive.readResponses(serpArchive.archivePath(archiveDir, entry)) : [];
 
-    const parsingIndex = entity.parsings.findIndex(p => p.id === req.params.parsingId);
+        if (raw.length === 0) {
+            skipped.push({ engine, reason: 'No archived responses' });
+            continue;
+        }
+        if (!provider?.parseRaw) {
+            skipped.push({ engine, reason: `Provider ${entry.provider} cannot parse archived responses` });
+            continue;
+        }
 
-    if (parsingIndex === -1) {
-        return res.status(404).json({ error: 'Parsing not found' });
+        const parsed = provider.parseRaw(raw);
+        const normalized = normalizeSerp(parsed.results, parsed.features, entry.depth || entity.depth);
+        // Manual relevance verdicts are not in the archive, the relevance rules skip them
+        const withManualRelevance = resultRelevance.keepManualRelevance(normalized.results, engineData.results);
+        const analyzed = await analyzeSerp(withManualRelevance, normalized.features, {
+            subject,
+            lexicon: getProjectLexicon(project.id),
+            domains: getProjectDomains(project.id),
+            projectId: project.id,
+            query: entity.name
+        });
+        // Deep analysis is not repeated: its verdicts and impact weights are carried over
+        const results = keepDeepSentiment(analyzed.results, engineData.results);
+        const { features } = analyzed;
+
+        storage.modifyParsingEngine(entity.id, parsing.id, engine, data => {
+            data.results = results;
+            data.features = features;
+            data.metrics = calculateMetrics(results, features);
+            data.rebuiltAt = new Date().toISOString();
+        });
+        rebuilt.push(engine);
     }
 
-    entity.parsings.splice(parsingIndex, 1);
-    saveProjects(projects);
-
-    res.json({ success: true });
-});
-
-// Update result sentiment manually
-app.patch('/api/projects/:projectId/entities/:entityId/parsings/:parsingId/results/:position', (req, res) => {
-    const { engine, sentiment } = req.body;
+    console.log(`[SERP] Rebuilt parsing ${parsing.id}: ${rebuilt.join(', ') || 'nothing'}`);
+    res.json({ parsing: storage.getParsing(entity.id, parsing.id), rebuilt, skipped });
+}));
 
-    const projects = loadProjects();
-    const project = projects.find(p => p.id === req.params.projectId);
+// Archived search: parameters and page numbers
+app.get('/api/serp-archive/:archiveId', (req, res) => {
+    const entry = storage.getSerpArchive(req.params.archiveId);
 
-    if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+    if (!entry) {
+        return res.status(404).json({ error: 'Archived search not found' });
     }
 
-    const entity = project.entities.find(e => e.id === req.params.entityId);
-
-    if (!entity) {
-        return res.status(404).json({ error: 'Entity not found' });
-    }
+    res.json(entry);
+});
 
-    const parsing = entity.parsings.find(p => p.id === req.params.parsingId);
+// Raw provider response of an archived page, as received
+app.get('/api/serp-archive/:archiveId/pages/:page', (req, res) => {
+    const entry = storage.getSerpArchive(req.params.archiveId);
+    const body = entry && serpArchive.readResponse(serpArchive.archivePath(getSerpSettings().archiveDir, entry), req.params.page);
 
-    if (!parsing) {
-        return res.status(404).json({ error: 'Parsing not found' });
+    if (!body) {
+        return res.status(404).json({ error: 'Archived response not found' });
     }
 
-    const position = parseInt(req.params.position);
-    const result = parsing.engines[engine]?.results.find(r => r.position === position);
+    res.type('application/xml').send(body);
+});
 
-    if (!result) {
-        return res.status(404).json({ error: 'Result not found' });
+// Query stored results of a project without loading whole parsings
+// Query params: entityId, engine, region, device, sentiment, domain, from, to, latest (default true), limit, offset
+app.get('/api/projects/:projectId/results', (req, res) => {
+    const { entityId, engine, region, device, sentiment, domain, from, to } = req.query;
+
+    if (!storage.getProject(req.params.projectId, { withResults: false })) {
+        return res.status(404).json({ error: 'Project not found' });
     }
 
-    result.sentiment = sentiment;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    // Recalculate metrics
-    parsing.engines[engine].metrics = calculateMetrics(parsing.engines[engine].results);
+    const { total, results } = storage.queryResults({
+        projectId: req.params.projectId,
+        entityId,
+        engine,
+        region,
+        device,
+        sentiment,
+        domain,
+        from,
+        to,
+        latest: req.query.latest !== 'false',
+        limit,
+        offset
+    });
 
-    saveProjects(projects);
-    res.json(parsing);
+    res.json({ total, limit, offset, results });
 });
 
 // Health check endpoint
@@ -1789,6 +4156,8 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         xmlstockConfigured: !!(credentials.user && credentials.key),
+        serpProvider: getSerpSettings().provider,
+        serpProviderConfigured: isSerpProviderConfigured(),
         memory: {
             used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
             total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB'
@@ -1796,44 +4165,17 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Bulk Search History Management
-const BULK_SEARCH_HISTORY_FILE = path.join(DATA_DIR, 'bulk-search-history.json');
-
-function loadBulkSearchHistory() {
-    try {
-        if (fs.existsSync(BULK_SEARCH_HISTORY_FILE)) {
-            return JSON.parse(fs.readFileSync(BULK_SEARCH_HISTORY_FILE, 'utf8'));
-        }
-    } catch (error) {
-        console.error('Error loading bulk search history:', error);
-    }
-    return [];
-}
-
-function saveBulkSearchHistory(history) {
-    fs.writeFileSync(BULK_SEARCH_HISTORY_FILE, JSON.stringify(history, null, 2));
-}
+// Bulk Search History Management (stored in SQLite, see storage.js)
 
 // Get bulk search history list
 app.get('/api/bulk-search/history', (req, res) => {
-    const history = loadBulkSearchHistory();
     // Return summary without full results for listing
-    const summary = history.map(item => ({
-        id: item.id,
-        timestamp: item.timestamp,
-        searchDepth: item.searchDepth,
-        queriesCount: item.queriesCount,
-        targetUrlsCount: item.targetUrlsCount,
-        foundCount: item.foundCount,
-        notFoundCount: item.notFoundCount
-    }));
-    res.json(summary);
+    res.json(storage.listBulkSearches());
 });
 
 // Get specific bulk search result by ID
 app.get('/api/bulk-search/history/:id', (req, res) => {
-    const history = loadBulkSearchHistory();
-    const item = history.find(h => h.id === req.params.id);
+    const item = storage.getBulkSearch(req.params.id);
     if (item) {
         res.json(item);
     } else {
@@ -1843,11 +4185,7 @@ app.get('/api/bulk-search/history/:id', (req, res) => {
 
 // Delete bulk search from history
 app.delete('/api/bulk-search/history/:id', (req, res) => {
-    let history = loadBulkSearchHistory();
-    const initialLength = history.length;
-    history = history.filter(h => h.id !== req.params.id);
-    if (history.length < initialLength) {
-        saveBulkSearchHistory(history);
+    if (storage.deleteBulkSearch(req.params.id)) {
         res.json({ success: true });
     } else {
         res.status(404).json({ error: 'Bulk search result not found' });
@@ -1861,9 +4199,24 @@ app.get('/api/bulk-search/status', (req, res) => {
     res.json(bulkSearchStatus);
 });
 
-// Start new bulk search
+// Cost estimate of a bulk search (Yandex only); projectId is optional
+app.post('/api/bulk-search/estimate', (req, res) => {
+    const { queries, depth = 100, projectId } = req.body;
+    const project = projectId ? storage.getProject(projectId, { withResults: false }) : null;
+
+    if (projectId && !project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({
+        ...estimateSerpCost(['yandex'], depth, Array.isArray(queries) ? queries.length : parseInt(queries) || 0),
+        budget: project ? getProjectBudget(project) : null
+    });
+});
+
+// Start new bulk search; spend is charged to projectId when given
 app.post('/api/bulk-search/start', asyncHandler(async (req, res) => {
-    const { queries, targetUrls, depth = 100 } = req.body;
+    const { queries, targetUrls, depth = 100, projectId } = req.body;
 
     if (!queries || !Array.isArray(queries) || queries.length === 0) {
         return res.status(400).json({ error: 'Queries array is required' });
@@ -1876,6 +4229,16 @@ app.post('/api/bulk-search/start', asyncHandler(async (req, res) => {
         return res.status(409).json({ error: 'Bulk search is already running' });
     }
 
+    const project = projectId ? storage.getProject(projectId, { withResults: false }) : null;
+    if (projectId && !project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const budgetError = project && checkProjectBudget(project);
+    if (budgetError) {
+        return res.status(402).json({ error: budgetError, budget: getProjectBudget(project) });
+    }
+
     const searchId = uuidv4();
     bulkSearchStatus = {
         running: true,
@@ -1884,7 +4247,7 @@ app.post('/api/bulk-search/start', asyncHandler(async (req, res) => {
     };
 
     // Run bulk search in background
-    runBulkSearch(searchId, queries, targetUrls, depth).catch(err => {
+    runBulkSearch(searchId, queries, targetUrls, depth, project?.id || null).catch(err => {
         console.error('Bulk search error:', err);
         bulkSearchStatus = { running: false, progress: null, error: err.message };
     });
@@ -1898,71 +4261,10 @@ app.post('/api/bulk-search/start', asyncHandler(async (req, res) => {
     });
 }));
 
-// Simple Yandex parser for bulk search (no sentiment analysis - faster)
-async function parseYandexForBulk(query, depth) {
-    const results = [];
-    const credentials = getXmlStockCredentials();
-
-    if (!credentials.user || !credentials.key) {
-        return results;
-    }
-
-    const resultsPerPage = 10;
-    const pages = Math.ceil(depth / resultsPerPage);
-
-    for (let page = 0; page < pages && results.length < depth; page++) {
-        const params = new URLSearchParams({
-            user: credentials.user,
-            key: credentials.key,
-            query: query,
-            page: page.toString(),
-            lr: '225',
-            l10n: 'ru',
-            sortby: 'rlv',
-            filter: 'none',
-            groupby: `attr=d.mode=deep.groups-on-page=${resultsPerPage}.docs-in-group=1`
-        });
-
-        const searchUrl = `${XMLSTOCK_CONFIG.yandexUrl}?${params.toString()}`;
-
-        try {
-            const response = await axios.get(searchUrl, { timeout: 30000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
-
-            $('group').each((index, element) => {
-                if (results.length >= depth) return false;
-
-                const doc = $(element).find('doc').first();
-                const url = doc.find('url').first().text().trim();
-                let title = doc.find('title').first().text().trim();
-
-                title = title.replace(/<\/?hlword>/g, '').replace(/<[^>]*>/g, '');
-
-                if (url && title) {
-                    results.push({
-                        position: results.length + 1,
-                        url: url,
-                        title: title
-                    });
-                }
-            });
-
-            if (page < pages - 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
-        } catch (error) {
-            console.error(`[BULK] Yandex error (page ${page}):`, error.message);
-        }
-    }
-
-    return results;
-}
-
 // Bulk search runner function
-async function runBulkSearch(searchId, queries, targetUrls, depth) {
-    const credentials = getXmlStockCredentials();
-    if (!credentials.user || !credentials.key) {
-        throw new Error('XMLStock credentials not configured');
+async function runBulkSearch(searchId, queries, targetUrls, depth, projectId = null) {
+    if (!isSerpProviderConfigured()) {
+        throw new Error('SERP provider not configured');
     }
 
     const allResults = {};
@@ -1984,8 +4286,14 @@ async function runBulkSearch(searchId, queries, targetUrls, depth) {
 
         console.log(`[BULK] [${i + 1}/${queries.length}] "${query}"`);
 
-        // Use simple parser without sentiment analysis
-        const results = await parseYandexForBulk(query, depth);
+        // Plain Yandex search without sentiment analysis
+        let results = [];
+        try {
+            results = (await searchSerp(query, 'yandex', depth, 'ru', 'desktop', null, { projectId, source: 'bulk' })).results
+                .map(({ position, url, title }) => ({ position, url, title }));
+        } catch (error) {
+            console.error(`[BULK] Search error for "${query}":`, error.message);
+        }
         allResults[query] = results;
 
         console.log(`[BULK] Got ${results.length} results`);
@@ -2031,6 +4339,7 @@ async function runBulkSearch(searchId, queries, targetUrls, depth) {
         id: searchId,
         timestamp: new Date().toISOString(),
         searchDepth: depth,
+        projectId,
         queriesCount: queries.length,
         queries: queries,
         targetUrlsCount: targetUrls.length,
@@ -2041,17 +4350,8 @@ async function runBulkSearch(searchId, queries, targetUrls, depth) {
         allResults: allResults
     };
 
-    // Save to history
-    const history = loadBulkSearchHistory();
-    history.unshift(report); // Add to beginning
-    // Keep only last 20 searches
-    if (history.length > 20) {
-        history.splice(20);
-    }
-    saveBulkSearchHistory(history);
-
-    // Also save as current results for backward compatibility
-    fs.writeFileSync(path.join(DATA_DIR, 'bulk-search-results.json'), JSON.stringify(report, null, 2));
+    // Save to history (only last 20 searches are kept)
+    storage.addBulkSearch(report);
 
     bulkSearchStatus = { running: false, progress: null, lastSearchId: searchId };
     console.log(`[BULK] Completed: Found ${foundCount}/${targetUrls.length} articles`);
@@ -2072,18 +4372,13 @@ function normalizeUrlForBulk(url) {
     }
 }
 
-// Get bulk search results (legacy endpoint)
+// Get latest bulk search results (legacy endpoint)
 app.get('/api/bulk-search-results', (req, res) => {
-    const resultsFile = path.join(DATA_DIR, 'bulk-search-results.json');
-    try {
-        if (fs.existsSync(resultsFile)) {
-            const data = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
-            res.json(data);
-        } else {
-            res.status(404).json({ error: 'No bulk search results found' });
-        }
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+    const latest = storage.getLatestBulkSearch();
+    if (latest) {
+        res.json(latest);
+    } else {
+        res.status(404).json({ error: 'No bulk search results found' });
     }
 });
 
@@ -2125,6 +4420,7 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = (signal) => {
     console.log(`\n[${signal}] Получен сигнал завершения, закрываем сервер...`);
     server.close(() => {
+        storage.close();
         console.log('Сервер остановлен корректно');
         process.exit(0);
     });
@@ -2151,6 +4447,9 @@ process.on('unhandledRejection', (reason, promise) => {
 const server = app.listen(PORT, () => {
     console.log(`SERM Monitor API running on http://localhost:${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
+    recoverInterruptedParsingTasks();
+    recoverParseJobs();
+    startScheduler();
 });
 
 // Регистрация обработчиков сигналов
@@ -0,0 +1,1305 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { v4: uuidv4 } = require('uuid');
+
+// SQLite storage for projects, entities, parsings, results, bulk searches, regions, SERP spend, SERP archive index,
+// URL sentiment labels, project sentiment lexicons, the domain directory, background task history, parse queue jobs and config.
+// Shared by the API server and the CLI scripts. Objects keep the same shape as the old projects.json:
+// fields without a dedicated column are stored in the JSON "extra" columns.
+const DATA_DIR = path.join(__dirname, '../data');
+const DB_FILE = path.join(DATA_DIR, 'serm.db');
+// Last copy of the database that passed the integrity check
+const DB_BACKUP_FILE = `${DB_FILE}.bak`;
+
+// Legacy JSON files imported on first start
+const LEGACY_FILES = {
+    projects: path.join(DATA_DIR, 'projects.json'),
+    config: path.join(DATA_DIR, 'config.json'),
+    bulkSearchHistory: path.join(DATA_DIR, 'bulk-search-history.json'),
+    bulkSearchResults: path.join(DATA_DIR, 'bulk-search-results.json')
+};
+// Task history of the server before it moved to the database, imported separately
+const LEGACY_PARSING_TASKS_FILE = path.join(DATA_DIR, 'parsing-tasks.json');
+
+const MAX_BULK_SEARCH_HISTORY = 20;
+const MAX_PARSING_TASK_HISTORY = 500;
+const DEFAULT_CONFIG = { xmlstock: { user: '', key: '' } };
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        region TEXT,
+        created_at TEXT,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS entities (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        engines TEXT NOT NULL,
+        depth INTEGER,
+        created_at TEXT,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_entities_project ON entities(project_id);
+
+    CREATE TABLE IF NOT EXISTS parsings (
+        id TEXT PRIMARY KEY,
+        entity_id TEXT NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        region TEXT,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_parsings_entity ON parsings(entity_id, date);
+
+    CREATE TABLE IF NOT EXISTS engine_results (
+        parsing_id TEXT NOT NULL REFERENCES parsings(id) ON DELETE CASCADE,
+        engine TEXT NOT NULL,
+        metrics TEXT,
+        extra TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (parsing_id, engine)
+    );
+
+    CREATE TABLE IF NOT EXISTS results (
+        parsing_id TEXT NOT NULL,
+        engine TEXT NOT NULL,
+        idx INTEGER NOT NULL,
+        position INTEGER,
+        url TEXT,
+        domain TEXT,
+        title TEXT,
+        sentiment TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (parsing_id, engine, idx),
+        FOREIGN KEY (parsing_id, engine) REFERENCES engine_results(parsing_id, engine) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_results_domain ON results(domain);
+    CREATE INDEX IF NOT EXISTS idx_results_sentiment ON results(sentiment);
+
+    CREATE TABLE IF NOT EXISTS bulk_searches (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT,
+        search_depth INTEGER,
+        queries_count INTEGER,
+        target_urls_count INTEGER,
+        found_count INTEGER,
+        not_found_count INTEGER,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS regions (
+        code TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+
+    -- One row per search (query x engine) sent to a SERP provider; kept when the project is deleted
+    CREATE TABLE IF NOT EXISTS serp_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        engine TEXT NOT NULL,
+        query TEXT,
+        pages INTEGER NOT NULL DEFAULT 0,
+        cost REAL NOT NULL DEFAULT 0,
+        project_id TEXT,
+        entity_id TEXT,
+        source TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_serp_requests_project ON serp_requests(project_id, date);
+
+    -- Index of raw SERP responses archived on disk (see serp-archive.js)
+    CREATE TABLE IF NOT EXISTS serp_archive (
+        id TEXT PRIMARY KEY,
+        cache_key TEXT NOT NULL,
+        date TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        engine TEXT NOT NULL,
+        query TEXT,
+        complete INTEGER NOT NULL DEFAULT 0,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_serp_archive_key ON serp_archive(cache_key, date);
+
+    -- Sentiment remembered for a URL of a project (manual corrections and confident Claude ratings)
+    CREATE TABLE IF NOT EXISTS url_labels (
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        url_key TEXT NOT NULL,
+        url TEXT NOT NULL,
+        sentiment TEXT NOT NULL,
+        source TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (project_id, url_key)
+    );
+
+    -- Project additions and overrides of the local sentiment lexicon (see sentiment-lexicon.js)
+    CREATE TABLE IF NOT EXISTS lexicon_entries (
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        stem TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        weight REAL NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (project_id, stem)
+    );
+
+    -- Domain reputation directory (see domain-directory.js): global entries and project overrides
+    CREATE TABLE IF NOT EXISTS domains (
+        domain TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        relation TEXT NOT NULL,
+        bias REAL NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS project_domains (
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        domain TEXT NOT NULL,
+        category TEXT NOT NULL,
+        relation TEXT NOT NULL,
+        bias REAL NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (project_id, domain)
+    );
+
+    -- Background tasks (parsing, deep sentiment analysis); partial_result is kept only while the task is running
+    CREATE TABLE IF NOT EXISTS parsing_tasks (
+        task_id TEXT PRIMARY KEY,
+        project_id TEXT,
+        entity_id TEXT,
+        status TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        partial_result TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_parsing_tasks_updated ON parsing_tasks(updated_at);
+
+    -- Project-wide parse queue jobs with their items, so a restart can continue them
+    CREATE TABLE IF NOT EXISTS parse_jobs (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS config (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+let db = null;
+
+// Open database lazily, create schema and import legacy JSON files once
+function getDb() {
+    if (db) return db;
+
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    try {
+        db = openDatabase();
+    } catch (error) {
+        if (!isCorruptionError(error)) throw error;
+        db = restoreDatabase(error);
+    }
+    db.exec(SCHEMA);
+
+    if (!db.prepare("SELECT value FROM meta WHERE key = 'json_migrated'").get()) {
+        migrateFromJson();
+    }
+    if (!db.prepare("SELECT value FROM meta WHERE key = 'parsing_tasks_migrated'").get()) {
+        migrateParsingTasks();
+    }
+
+    return db;
+}
+
+// Open and verify the database file; throws when it is corrupted or not a database
+function openDatabase() {
+    const database = new Database(DB_FILE);
+    try {
+        database.pragma('journal_mode = WAL');
+        database.pragma('foreign_keys = ON');
+        database.pragma('busy_timeout = 5000');
+
+        const check = database.pragma('quick_check', { simple: true });
+        if (check !== 'ok') {
+            throw Object.assign(new Error(`quick_check failed: ${check}`), { code: 'SQLITE_CORRUPT' });
+        }
+    } catch (error) {
+        database.close();
+        throw error;
+    }
+    return database;
+}
+
+function isCorruptionError(error) {
+    return ['SQLITE_CORRUPT', 'SQLITE_NOTADB'].some(code => error.code?.startsWith(code));
+}
+
+// Move the corrupted database aside and restore the last good copy (or start empty when there is none)
+function restoreDatabase(error) {
+    const suffix = `.corrupted-${Date.now()}`;
+    console.error(`[Storage] ${path.basename(DB_FILE)} is corrupted (${error.message}), moving it to ${path.basename(DB_FILE)}${suffix}`);
+
+    for (const file of [DB_FILE, `${DB_FILE}-wal`, `${DB_FILE}-shm`]) {
+        if (fs.existsSync(file)) {
+            fs.renameSync(file, `${file}${suffix}`);
+        }
+    }
+
+    if (fs.existsSync(DB_BACKUP_FILE)) {
+        fs.copyFileSync(DB_BACKUP_FILE, DB_FILE);
+        console.log(`[Storage] Database restored from ${path.basename(DB_BACKUP_FILE)}`);
+    } else {
+        console.error('[Storage] No database backup found, starting with an empty database');
+    }
+
+    return openDatabase();
+}
+
+// Save a verified copy of the database for recovery (server calls this at startup and periodically)
+function backupDatabase() {
+    const tmpFile = `${DB_BACKUP_FILE}.tmp-${process.pid}`;
+    if (fs.existsSync(tmpFile)) {
+        fs.unlinkSync(tmpFile);
+    }
+    getDb().prepare('VACUUM INTO ?').run(tmpFile);
+    fs.renameSync(tmpFile, DB_BACKUP_FILE);
+}
+
+// Run fn in an IMMEDIATE transaction: the database write lock is taken up front, so read-modify-write
+// sequences of the server and the CLI scripts cannot interleave
+function withWriteLock(fn) {
+    return getDb().transaction(fn).immediate();
+}
+
+function init() {
+    getDb();
+}
+
+function close() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+// ============ JSON files ============
+
+// Write JSON atomically (temp file + fsync + rename); the previous version is kept as <file>.bak
+function writeJsonFile(file, data) {
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (fs.existsSync(file)) {
+        fs.copyFileSync(file, `${file}.bak`);
+    }
+    fs.renameSync(tmpFile, file);
+}
+
+// Read JSON file; a corrupted or truncated file is moved aside and restored from <file>.bak
+function readJsonFile(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        const corruptedFile = `${file}.corrupted-${Date.now()}`;
+        fs.renameSync(file, corruptedFile);
+        console.error(`[Storage] ${path.basename(file)} is corrupted (${error.message}), moved to ${path.basename(corruptedFile)}`);
+    }
+
+    const backupFile = `${file}.bak`;
+    if (fs.existsSync(backupFile)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+            fs.copyFileSync(backupFile, file);
+            console.log(`[Storage] ${path.basename(file)} restored from ${path.basename(backupFile)}`);
+            return data;
+        } catch (error) {
+            console.error(`[Storage] ${path.basename(backupFile)} is corrupted too (${error.message})`);
+        }
+    }
+
+    return fallback;
+}
+
+// Legacy files must parse completely, otherwise the migration is not marked as done
+function readLegacyFile(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot migrate ${path.basename(file)}: ${error.message}. Fix or remove the file and restart`);
+    }
+}
+
+// One-time import of projects.json, config.json and bulk search files; originals are renamed to *.migrated
+function migrateFromJson() {
+    const projects = readLegacyFile(LEGACY_FILES.projects) || [];
+    const config = readLegacyFile(LEGACY_FILES.config);
+    const history = readLegacyFile(LEGACY_FILES.bulkSearchHistory) || [];
+    const lastBulkSearch = readLegacyFile(LEGACY_FILES.bulkSearchResults);
+
+    withWriteLock(() => {
+        for (const project of projects) {
+            insertProject(project);
+            for (const entity of project.entities || []) {
+                insertEntity(project.id, entity);
+                for (const parsing of entity.parsings || []) {
+                    writeParsing(entity.id, parsing.id ? parsing : { ...parsing, id: uuidv4() });
+                }
+            }
+        }
+
+        if (config) {
+            saveConfig(config);
+        }
+
+        // History is stored newest first
+        [...history].reverse().forEach(insertBulkSearch);
+        if (lastBulkSearch && !history.some(item => item.id && item.id === lastBulkSearch.id)) {
+            insertBulkSearch({ ...lastBulkSearch, id: lastBulkSearch.id || uuidv4() });
+        }
+
+        db.prepare("INSERT INTO meta (key, value) VALUES ('json_migrated', ?)").run(new Date().toISOString());
+    });
+
+    for (const file of Object.values(LEGACY_FILES)) {
+        if (fs.existsSync(file)) {
+            fs.renameSync(file, `${file}.migrated`);
+        }
+    }
+
+    if (projects.length > 0 || config || history.length > 0 || lastBulkSearch) {
+        console.log(`[Storage] Migrated ${projects.length} projects and ${history.length} bulk searches from JSON files to ${path.basename(DB_FILE)}`);
+    }
+}
+
+// One-time import of parsing-tasks.json (stored newest first); the original is renamed to *.migrated
+function migrateParsingTasks() {
+    const tasks = readJsonFile(LEGACY_PARSING_TASKS_FILE, []);
+
+    withWriteLock(() => {
+        [...tasks].reverse().forEach(writeParsingTask);
+        db.prepare("INSERT INTO meta (key, value) VALUES ('parsing_tasks_migrated', ?)").run(new Date().toISOString());
+    });
+
+    for (const file of [LEGACY_PARSING_TASKS_FILE, `${LEGACY_PARSING_TASKS_FILE}.bak`]) {
+        if (fs.existsSync(file)) {
+            fs.renameSync(file, `${file}.migrated`);
+        }
+    }
+
+    if (tasks.length > 0) {
+        console.log(`[Storage] Migrated ${tasks.length} parsing tasks from ${path.basename(LEGACY_PARSING_TASKS_FILE)} to ${path.basename(DB_FILE)}`);
+    }
+}
+
+// Fields without a dedicated column
+function pickExtra(obj, columns) {
+    const extra = {};
+    for (const [key, value] of Object.entries(obj)) {
+        if (!columns.includes(key) && value !== undefined) {
+            extra[key] = value;
+        }
+    }
+    return JSON.stringify(extra);
+}
+
+function parseJson(value, fallback = null) {
+    return value === null || value === undefined ? fallback : JSON.parse(value);
+}
+
+// ============ Projects & entities ============
+
+function insertProject(project) {
+    getDb().prepare(`
+        INSERT INTO projects (id, name, region, created_at, extra) VALUES (?, ?, ?, ?, ?)
+    `).run(project.id, project.name, project.region || null, project.createdAt || null,
+        pickExtra(project, ['id', 'name', 'region', 'createdAt', 'entities']));
+}
+
+function insertEntity(projectId, entity) {
+    getDb().prepare(`
+        INSERT INTO entities (id, project_id, name, engines, depth, created_at, extra) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(entity.id, projectId, entity.name, JSON.stringify(entity.engines || []), entity.depth || null,
+        entity.createdAt || null, pickExtra(entity, ['id', 'name', 'engines', 'depth', 'createdAt', 'parsings']));
+}
+
+function projectFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        region: row.region,
+        createdAt: row.created_at,
+        ...parseJson(row.extra, {})
+    };
+}
+
+function entityFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        engines: parseJson(row.engines, []),
+        depth: row.depth,
+        createdAt: row.created_at,
+        ...parseJson(row.extra, {})
+    };
+}
+
+// Project list without entities and parsings (for navigation)
+function listProjects() {
+    return getDb().prepare(`
+        SELECT p.*,
+            (SELECT COUNT(*) FROM entities e WHERE e.project_id = p.id) AS entities_count,
+            (SELECT MAX(pr.date) FROM parsings pr JOIN entities e ON e.id = pr.entity_id WHERE e.project_id = p.id) AS last_parsing_date
+        FROM projects p ORDER BY p.rowid
+    `).all().map(row => ({
+        ...projectFromRow(row),
+        entitiesCount: row.entities_count,
+        lastParsingDate: row.last_parsing_date
+    }));
+}
+
+// Full project tree; with withResults = false parsings contain metrics only
+function getProject(projectId, { withResults = true } = {}) {
+    const row = getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+    if (!row) return null;
+
+    const parsingsByEntity = loadParsings('e.project_id = ?', projectId, withResults);
+    const entities = getDb().prepare('SELECT * FROM entities WHERE project_id = ? ORDER BY rowid').all(projectId)
+        .map(entityRow => ({ ...entityFromRow(entityRow), parsings: parsingsByEntity.get(entityRow.id) || [] }));
+
+    return { ...projectFromRow(row), entities };
+}
+
+function getAllProjects(options) {
+    return getDb().prepare('SELECT id FROM projects ORDER BY rowid').all()
+        .map(row => getProject(row.id, options));
+}
+
+function createProject(project) {
+    insertProject(project);
+    return getProject(project.id);
+}
+
+// Merge changes into project fields (entities are managed separately)
+function updateProject(projectId, changes) {
+    return withWriteLock(() => {
+        const row = getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+        if (!row) return null;
+
+        const project = { ...projectFromRow(row), ...changes };
+        getDb().prepare('UPDATE projects SET name = ?, region = ?, extra = ? WHERE id = ?')
+            .run(project.name, project.region || null,
+                pickExtra(project, ['id', 'name', 'region', 'createdAt', 'entities']), projectId);
+
+        return projectFromRow(getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId));
+    });
+}
+
+function deleteProject(projectId) {
+    return getDb().prepare('DELETE FROM projects WHERE id = ?').run(projectId).changes > 0;
+}
+
+// Entity with its parsings; null when it does not belong to the project
+function getEntity(projectId, entityId, { withResults = true } = {}) {
+    const row = getDb().prepare('SELECT * FROM entities WHERE id = ? AND project_id = ?').get(entityId, projectId);
+    if (!row) return null;
+
+    const parsings = loadParsings('p.entity_id = ?', entityId, withResults).get(entityId) || [];
+    return { ...entityFromRow(row), parsings };
+}
+
+function createEntity(projectId, entity) {
+    insertEntity(projectId, entity);
+    return getEntity(projectId, entity.id);
+}
+
+// Merge changes into entity fields (parsings are managed separately)
+function updateEntity(projectId, entityId, changes) {
+    return withWriteLock(() => {
+        const row = getDb().prepare('SELECT * FROM entities WHERE id = ? AND project_id = ?').get(entityId, projectId);
+        if (!row) return null;
+
+        const entity = { ...entityFromRow(row), ...changes };
+        getDb().prepare(`
+            UPDATE entities SET name = ?, engines = ?, depth = ?, extra = ? WHERE id = ?
+        `).run(entity.name, JSON.stringify(entity.engines || []), entity.depth || null,
+            pickExtra(entity, ['id', 'name', 'engines', 'depth', 'createdAt', 'parsings']), entityId);
+
+        return getEntity(projectId, entityId);
+    });
+}
+
+function deleteEntity(projectId, entityId) {
+    return getDb().prepare('DELETE FROM entities WHERE id = ? AND project_id = ?').run(entityId, projectId).changes > 0;
+}
+
+// ============ Parsings & results ============
+
+// Load parsings matching a condition on parsings (p) / entities (e), grouped by entity id
+function loadParsings(where, param, withResults) {
+    const join = 'JOIN parsings p ON p.id = x.parsing_id JOIN entities e ON e.id = p.entity_id';
+    const parsingRows = getDb().prepare(`
+        SELECT p.* FROM parsings p JOIN entities e ON e.id = p.entity_id WHERE ${where} ORDER BY p.date, p.rowid
+    `).all(param);
+    const engineRows = getDb().prepare(`
+        SELECT x.* FROM engine_results x ${join} WHERE ${where} ORDER BY x.rowid
+    `).all(param);
+    const resultRows = withResults
+        ? getDb().prepare(`SELECT x.parsing_id, x.engine, x.data FROM results x ${join} WHERE ${where} ORDER BY x.idx`).all(param)
+        : [];
+
+    const parsingsById = new Map();
+    const byEntity = new Map();
+
+    for (const row of parsingRows) {
+        const parsing = {
+            id: row.id,
+            date: row.date,
+            region: parseJson(row.region),
+            ...parseJson(row.extra, {}),
+            engines: {}
+        };
+        parsingsById.set(row.id, parsing);
+        if (!byEntity.has(row.entity_id)) byEntity.set(row.entity_id, []);
+        byEntity.get(row.entity_id).push(parsing);
+    }
+
+    for (const row of engineRows) {
+        parsingsById.get(row.parsing_id).engines[row.engine] = {
+            ...(withResults ? { results: [] } : {}),
+            metrics: parseJson(row.metrics),
+            ...parseJson(row.extra, {})
+        };
+    }
+
+    for (const row of resultRows) {
+        parsingsById.get(row.parsing_id).engines[row.engine].results.push(JSON.parse(row.data));
+    }
+
+    return byEntity;
+}
+
+// Insert or replace a parsing with all engine results (no transaction, see saveParsing)
+function writeParsing(entityId, parsing) {
+    getDb().prepare(`
+        INSERT INTO parsings (id, entity_id, date, region, extra) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET date = excluded.date, region = excluded.region, extra = excluded.extra
+    `).run(parsing.id, entityId, parsing.date, parsing.region ? JSON.stringify(parsing.region) : null,
+        pickExtra(parsing, ['id', 'date', 'region', 'engines']));
+
+    getDb().prepare('DELETE FROM engine_results WHERE parsing_id = ?').run(parsing.id);
+    for (const [engine, engineData] of Object.entries(parsing.engines || {})) {
+        writeEngineResults(parsing.id, engine, engineData);
+    }
+}
+
+function writeEngineResults(parsingId, engine, engineData) {
+    getDb().prepare(`
+        INSERT INTO engine_results (parsing_id, engine, metrics, extra) VALUES (?, ?, ?, ?)
+        ON CONFLICT(parsing_id, engine) DO UPDATE SET metrics = excluded.metrics, extra = excluded.extra
+    `).run(parsingId, engine, engineData.metrics ? JSON.stringify(engineData.metrics) : null,
+        pickExtra(engineData, ['results', 'metrics']));
+
+    getDb().prepare('DELETE FROM results WHERE parsing_id = ? AND engine = ?').run(parsingId, engine);
+    const insertResult = getDb().prepare(`
+        INSERT INTO results (parsing_id, engine, idx, position, url, domain, title, sentiment, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    (engineData.results || []).forEach((result, index) => {
+        insertResult.run(parsingId, engine, index, result.position ?? null, result.url || null, result.domain || null,
+            result.title || null, result.sentiment || null, JSON.stringify(result));
+    });
+}
+
+// Add a parsing to entity (or replace it by id); returns false when entity no longer exists
+function saveParsing(entityId, parsing) {
+    return withWriteLock(() => {
+        if (!getDb().prepare('SELECT 1 FROM entities WHERE id = ?').get(entityId)) return false;
+
+        writeParsing(entityId, parsing);
+        return true;
+    });
+}
+
+// Read-modify-write of one engine of a parsing under the write lock, always on fresh data.
+// modify(engineData, parsing) changes engineData in place and may return false to skip saving.
+// Returns the updated parsing or null when the parsing/engine does not exist or nothing was saved.
+function modifyParsingEngine(entityId, parsingId, engine, modify) {
+    return withWriteLock(() => {
+        const parsing = getParsing(entityId, parsingId);
+        const engineData = parsing?.engines[engine];
+        if (!engineData || modify(engineData, parsing) === false) return null;
+
+        writeEngineResults(parsingId, engine, engineData);
+        return parsing;
+    });
+}
+
+function getParsing(entityId, parsingId) {
+    return (loadParsings('p.entity_id = ? AND p.id = ?', [entityId, parsingId], true).get(entityId) || [])[0] || null;
+}
+
+function deleteParsing(entityId, parsingId) {
+    return getDb().prepare('DELETE FROM parsings WHERE id = ? AND entity_id = ?').run(parsingId, entityId).changes > 0;
+}
+
+// Query stored results without loading whole projects
+// Filters: projectId, entityId, engine, sentiment, domain (substring), from/to (parsing date), latest (only latest parsing of each entity)
+// latest - only parsings of the latest run of each entity (a multi-region run has a parsing per region)
+function queryResults({ projectId, entityId, engine, region, device, sentiment, domain, from, to, latest = true, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (projectId) { conditions.push('e.project_id = ?'); params.push(projectId); }
+    if (entityId) { conditions.push('e.id = ?'); params.push(entityId); }
+    if (engine) { conditions.push('r.engine = ?'); params.push(engine); }
+    if (region) { conditions.push("json_extract(p.region, '$.code') = ?"); params.push(region); }
+    if (device) { conditions.push("COALESCE(json_extract(p.extra, '$.device'), 'desktop') = ?"); params.push(device); }
+    if (sentiment) { conditions.push('r.sentiment = ?'); params.push(sentiment); }
+    if (domain) { conditions.push('r.domain LIKE ?'); params.push(`%${domain}%`); }
+    if (from) { conditions.push('p.date >= ?'); params.push(from); }
+    if (to) { conditions.push('p.date <= ?'); params.push(to); }
+    if (latest) {
+        conditions.push(`COALESCE(json_extract(p.extra, '$.runId'), p.id) = (
+            SELECT COALESCE(json_extract(p2.extra, '$.runId'), p2.id) FROM parsings p2
+            WHERE p2.entity_id = p.entity_id ORDER BY p2.date DESC, p2.rowid DESC LIMIT 1
+        )`);
+    }
+
+    const base = `
+        FROM results r
+        JOIN parsings p ON p.id = r.parsing_id
+        JOIN entities e ON e.id = p.entity_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    const total = getDb().prepare(`SELECT COUNT(*) AS count ${base}`).get(params).count;
+    const rows = getDb().prepare(`
+        SELECT r.engine, r.data, p.id AS parsing_id, p.date AS parsing_date, p.region,
+            COALESCE(json_extract(p.extra, '$.device'), 'desktop') AS device, e.id AS entity_id, e.name AS entity_name, e.project_id
+        ${base}
+        ORDER BY p.date DESC, e.rowid, r.engine, r.idx
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+        total,
+        results: rows.map(row => ({
+            projectId: row.project_id,
+            entityId: row.entity_id,
+            entityName: row.entity_name,
+            parsingId: row.parsing_id,
+            parsingDate: row.parsing_date,
+            region: parseJson(row.region),
+            device: row.device,
+            engine: row.engine,
+            ...JSON.parse(row.data)
+        }))
+    };
+}
+
+// ============ Bulk searches ============
+
+function insertBulkSearch(report) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO bulk_searches
+            (id, timestamp, search_depth, queries_count, target_urls_count, found_count, not_found_count, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(report.id, report.timestamp || null, report.searchDepth ?? null, report.queriesCount ?? null,
+        report.targetUrlsCount ?? null, report.foundCount ?? null, report.notFoundCount ?? null, JSON.stringify(report));
+}
+
+// Summary list, newest first
+function listBulkSearches() {
+    return getDb().prepare('SELECT * FROM bulk_searches ORDER BY timestamp DESC, rowid DESC').all().map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        searchDepth: row.search_depth,
+        queriesCount: row.queries_count,
+        targetUrlsCount: row.target_urls_count,
+        foundCount: row.found_count,
+        notFoundCount: row.not_found_count
+    }));
+}
+
+function getBulkSearch(id) {
+    const row = getDb().prepare('SELECT data FROM bulk_searches WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+}
+
+function getLatestBulkSearch() {
+    const row = getDb().prepare('SELECT data FROM bulk_searches ORDER BY timestamp DESC, rowid DESC LIMIT 1').get();
+    return row ? JSON.parse(row.data) : null;
+}
+
+// Save report and keep only the latest MAX_BULK_SEARCH_HISTORY searches
+function addBulkSearch(report) {
+    withWriteLock(() => {
+        insertBulkSearch(report);
+        getDb().prepare(`
+            DELETE FROM bulk_searches WHERE id NOT IN (
+                SELECT id FROM bulk_searches ORDER BY timestamp DESC, rowid DESC LIMIT ?
+            )
+        `).run(MAX_BULK_SEARCH_HISTORY);
+    });
+}
+
+function deleteBulkSearch(id) {
+    return getDb().prepare('DELETE FROM bulk_searches WHERE id = ?').run(id).changes > 0;
+}
+
+// ============ Parsing tasks ============
+
+function writeParsingTask(record) {
+    const { partialResult, ...data } = record;
+    getDb().prepare(`
+        INSERT INTO parsing_tasks (task_id, project_id, entity_id, status, updated_at, data, partial_result) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(task_id) DO UPDATE SET project_id = excluded.project_id, entity_id = excluded.entity_id, status = excluded.status,
+            updated_at = excluded.updated_at, data = excluded.data, partial_result = excluded.partial_result
+    `).run(record.taskId, record.projectId || null, record.entityId || null, record.status, new Date().toISOString(),
+        JSON.stringify(data), partialResult ? JSON.stringify(partialResult) : null);
+}
+
+// Save the record of one task; when a task finishes, the history is trimmed to the latest
+// MAX_PARSING_TASK_HISTORY finished tasks (running tasks are never dropped)
+function saveParsingTask(record) {
+    withWriteLock(() => {
+        writeParsingTask(record);
+        if (record.status === 'running') return;
+
+        getDb().prepare(`
+            DELETE FROM parsing_tasks WHERE status != 'running' AND task_id NOT IN (
+                SELECT task_id FROM parsing_tasks WHERE status != 'running' ORDER BY updated_at DESC, rowid DESC LIMIT ?
+            )
+        `).run(MAX_PARSING_TASK_HISTORY);
+    });
+}
+
+function parsingTaskFromRow(row) {
+    return { ...JSON.parse(row.data), partialResult: parseJson(row.partial_result) };
+}
+
+function getParsingTask(taskId) {
+    const row = getDb().prepare('SELECT data, partial_result FROM parsing_tasks WHERE task_id = ?').get(taskId);
+    return row ? parsingTaskFromRow(row) : null;
+}
+
+// Task records, last updated first (filters: projectId, entityId, status); partialResult only with withPartialResult
+function listParsingTasks({ projectId, entityId, status, limit = -1, withPartialResult = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (projectId) { conditions.push('project_id = ?'); params.push(projectId); }
+    if (entityId) { conditions.push('entity_id = ?'); params.push(entityId); }
+    if (status) { conditions.push('status = ?'); params.push(status); }
+
+    return getDb().prepare(`
+        SELECT data${withPartialResult ? ', partial_result' : ''} FROM parsing_tasks
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY updated_at DESC, rowid DESC
+        LIMIT ?
+    `).all(...params, limit).map(row => withPartialResult ? parsingTaskFromRow(row) : JSON.parse(row.data));
+}
+
+// ============ Parse jobs ============
+
+function saveParseJob(job) {
+    getDb().prepare(`
+        INSERT INTO parse_jobs (id, project_id, status, created_at, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data
+    `).run(job.id, job.projectId || null, job.status, job.createdAt, JSON.stringify(job));
+}
+
+// Jobs, oldest first
+function listParseJobs() {
+    return getDb().prepare('SELECT data FROM parse_jobs ORDER BY created_at, rowid').all().map(row => JSON.parse(row.data));
+}
+
+function deleteParseJob(id) {
+    return getDb().prepare('DELETE FROM parse_jobs WHERE id = ?').run(id).changes > 0;
+}
+
+// ============ Regions ============
+
+function regionFromRow(row) {
+    return {
+        code: row.code,
+        name: row.name,
+        ...parseJson(row.extra, {})
+    };
+}
+
+function writeRegion(region) {
+    getDb().prepare(`
+        INSERT INTO regions (code, name, extra) VALUES (?, ?, ?)
+        ON CONFLICT(code) DO UPDATE SET name = excluded.name, extra = excluded.extra
+    `).run(region.code, region.name, pickExtra(region, ['code', 'name']));
+}
+
+// Insert default regions on first start only, so deleted defaults do not come back
+function seedRegions(regions) {
+    withWriteLock(() => {
+        if (getDb().prepare("SELECT value FROM meta WHERE key = 'regions_seeded'").get()) return;
+
+        regions.forEach(writeRegion);
+        getDb().prepare("INSERT INTO meta (key, value) VALUES ('regions_seeded', ?)").run(new Date().toISOString());
+    });
+}
+
+function listRegions() {
+    return getDb().prepare('SELECT * FROM regions ORDER BY rowid').all().map(regionFromRow);
+}
+
+function getRegion(code) {
+    const row = getDb().prepare('SELECT * FROM regions WHERE code = ?').get(code);
+    return row ? regionFromRow(row) : null;
+}
+
+function saveRegion(region) {
+    writeRegion(region);
+    return getRegion(region.code);
+}
+
+// Projects using the region as their default region or in the region list of an entity
+function getRegionProjects(code) {
+    return getDb().prepare(`
+        SELECT p.id, p.name FROM projects p
+        WHERE p.region = ? OR EXISTS (
+            SELECT 1 FROM entities e, json_each(e.extra, '$.regions') r WHERE e.project_id = p.id AND r.value = ?
+        )
+        ORDER BY p.rowid
+    `).all(code, code);
+}
+
+// Delete region unless a project uses it; returns { deleted, projects }
+function deleteRegion(code) {
+    return withWriteLock(() => {
+        const projects = getRegionProjects(code);
+        if (projects.length > 0) {
+            return { deleted: false, projects };
+        }
+        return { deleted: getDb().prepare('DELETE FROM regions WHERE code = ?').run(code).changes > 0, projects };
+    });
+}
+
+// ============ SERP spend ============
+
+function recordSerpRequest({ date, provider, engine, query, pages = 0, cost = 0, projectId = null, entityId = null, source = null }) {
+    getDb().prepare(`
+        INSERT INTO serp_requests (date, provider, engine, query, pages, cost, project_id, entity_id, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(date || new Date().toISOString(), provider, engine, query || null, pages, cost, projectId, entityId, source);
+}
+
+// Spend totals, by month (YYYY-MM), by project and by engine; filters: projectId, from, to (ISO dates)
+function getSerpSpend({ projectId, from, to } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (projectId) {
+        conditions.push('s.project_id = ?');
+        params.push(projectId);
+    }
+    if (from) {
+        conditions.push('s.date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('s.date <= ?');
+        params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totals = 'COUNT(*) AS requests, COALESCE(SUM(s.pages), 0) AS pages, COALESCE(SUM(s.cost), 0) AS cost';
+    const query = (groupBy, columns, order) => getDb().prepare(`
+        SELECT ${columns}${columns ? ', ' : ''}${totals} FROM serp_requests s
+        LEFT JOIN projects p ON p.id = s.project_id
+        ${where} ${groupBy ? `GROUP BY ${groupBy}` : ''} ${order ? `ORDER BY ${order}` : ''}
+    `).all(...params);
+
+    return {
+        total: query(null, '', null)[0],
+        byMonth: query("substr(s.date, 1, 7)", "substr(s.date, 1, 7) AS month", 'month DESC'),
+        byProject: query('s.project_id', 's.project_id AS projectId, p.name AS projectName', 'cost DESC')
+            .map(row => ({ ...row, deleted: !!row.projectId && !row.projectName })),
+        byEngine: query('s.engine', 's.engine', 'cost DESC')
+    };
+}
+
+// ============ SERP archive ============
+
+function serpArchiveFromRow(row) {
+    return {
+        id: row.id,
+        cacheKey: row.cache_key,
+        date: row.date,
+        provider: row.provider,
+        engine: row.engine,
+        query: row.query,
+        complete: !!row.complete,
+        ...parseJson(row.extra, {})
+    };
+}
+
+function addSerpArchive(entry) {
+    getDb().prepare(`
+        INSERT INTO serp_archive (id, cache_key, date, provider, engine, query, complete, extra) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(entry.id, entry.cacheKey, entry.date, entry.provider, entry.engine, entry.query || null, entry.complete ? 1 : 0,
+        pickExtra(entry, ['id', 'cacheKey', 'date', 'provider', 'engine', 'query', 'complete']));
+}
+
+function getSerpArchive(id) {
+    const row = getDb().prepare('SELECT * FROM serp_archive WHERE id = ?').get(id);
+    return row ? serpArchiveFromRow(row) : null;
+}
+
+// Latest complete archived search with the key made after since (ISO date)
+function findCachedSerpArchive(cacheKey, since) {
+    const row = getDb().prepare(`
+        SELECT * FROM serp_archive WHERE cache_key = ? AND complete = 1 AND date >= ? ORDER BY date DESC LIMIT 1
+    `).get(cacheKey, since);
+    return row ? serpArchiveFromRow(row) : null;
+}
+
+// ============ URL sentiment labels ============
+
+// Tracking parameters that do not change the page
+const URL_TRACKING_PARAMS = /^(utm_\w+|yclid|gclid|fbclid|_openstat)$/i;
+
+// Normalized URL used as the label key: no protocol, "www.", fragment, tracking parameters and trailing slash
+// (the host is lowercased by URL, the path and query stay case-sensitive)
+function urlLabelKey(url) {
+    try {
+        const parsed = new URL(url);
+        const params = [...parsed.searchParams].filter(([name]) => !URL_TRACKING_PARAMS.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${query}`;
+    } catch (error) {
+        return String(url).trim();
+    }
+}
+
+function urlLabelFromRow(row) {
+    return {
+        url: row.url,
+        sentiment: row.sentiment,
+        source: row.source,
+        updatedAt: row.updated_at,
+        ...parseJson(row.extra, {})
+    };
+}
+
+function listUrlLabels(projectId) {
+    return getDb().prepare('SELECT * FROM url_labels WHERE project_id = ? ORDER BY updated_at DESC').all(projectId)
+        .map(urlLabelFromRow);
+}
+
+// Labels of the given URLs: Map of urlLabelKey -> label
+function getUrlLabels(projectId, urls) {
+    const labels = new Map();
+    const select = getDb().prepare('SELECT * FROM url_labels WHERE project_id = ? AND url_key = ?');
+
+    for (const key of new Set(urls.filter(Boolean).map(urlLabelKey))) {
+        const row = select.get(projectId, key);
+        if (row) labels.set(key, urlLabelFromRow(row));
+    }
+    return labels;
+}
+
+// Save a label: { url, sentiment, source ('manual' | 'claude'), confidence, explanation }.
+// Claude labels never replace manual ones; returns false when the label was not saved.
+function saveUrlLabel(projectId, label) {
+    return getDb().prepare(`
+        INSERT INTO url_labels (project_id, url_key, url, sentiment, source, updated_at, extra) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(project_id, url_key) DO UPDATE SET
+            url = excluded.url, sentiment = excluded.sentiment, source = excluded.source,
+            updated_at = excluded.updated_at, extra = excluded.extra
+        WHERE excluded.source = 'manual' OR url_labels.source != 'manual'
+    `).run(projectId, urlLabelKey(label.url), label.url, label.sentiment, label.source, new Date().toISOString(),
+        pickExtra(label, ['url', 'sentiment', 'source', 'updatedAt'])).changes > 0;
+}
+
+function deleteUrlLabel(projectId, url) {
+    return getDb().prepare('DELETE FROM url_labels WHERE project_id = ? AND url_key = ?')
+        .run(projectId, urlLabelKey(url)).changes > 0;
+}
+
+// Sentiment evaluation dataset: the latest stored result of every URL with a manual label of the project,
+// { ...result, entityId, entityName, parsingId, parsingDate, engine, label }; entityId limits it to one entity
+function listLabeledResults(projectId, { entityId = null } = {}) {
+    const labels = new Map(listUrlLabels(projectId).filter(label => label.source === 'manual')
+        .map(label => [urlLabelKey(label.url), label]));
+    if (labels.size === 0) return [];
+
+    const rows = getDb().prepare(`
+        SELECT r.url, r.engine, r.data, p.id AS parsing_id, p.date AS parsing_date, e.id AS entity_id, e.name AS entity_name
+        FROM results r
+        JOIN parsings p ON p.id = r.parsing_id
+        JOIN entities e ON e.id = p.entity_id
+        WHERE e.project_id = ? AND r.url IS NOT NULL ${entityId ? 'AND e.id = ?' : ''}
+        ORDER BY p.date DESC, p.rowid DESC
+    `).all(...[projectId, entityId].filter(Boolean));
+
+    const dataset = new Map();
+    for (const row of rows) {
+        const key = urlLabelKey(row.url);
+        if (!labels.has(key) || dataset.has(key)) continue;
+        dataset.set(key, {
+            ...JSON.parse(row.data),
+            entityId: row.entity_id,
+            entityName: row.entity_name,
+            parsingId: row.parsing_id,
+            parsingDate: row.parsing_date,
+            engine: row.engine,
+            label: labels.get(key)
+        });
+    }
+    return [...dataset.values()];
+}
+
+// ============ Sentiment lexicon ============
+
+function lexiconEntryFromRow(row) {
+    return {
+        stem: row.stem,
+        kind: row.kind,
+        weight: row.weight,
+        updatedAt: row.updated_at,
+        ...parseJson(row.extra, {})
+    };
+}
+
+function listLexiconEntries(projectId) {
+    return getDb().prepare('SELECT * FROM lexicon_entries WHERE project_id = ? ORDER BY kind, stem').all(projectId)
+        .map(lexiconEntryFromRow);
+}
+
+// Save an entry { stem, kind, weight, note }, replaces the entry with the same stem
+function saveLexiconEntry(projectId, entry) {
+    const updatedAt = new Date().toISOString();
+    getDb().prepare(`
+        INSERT INTO lexicon_entries (project_id, stem, kind, weight, updated_at, extra) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(project_id, stem) DO UPDATE SET
+            kind = excluded.kind, weight = excluded.weight, updated_at = excluded.updated_at, extra = excluded.extra
+    `).run(projectId, entry.stem, entry.kind, entry.weight || 0, updatedAt,
+        pickExtra(entry, ['stem', 'kind', 'weight', 'updatedAt']));
+    return { ...entry, updatedAt };
+}
+
+function deleteLexiconEntry(projectId, stem) {
+    return getDb().prepare('DELETE FROM lexicon_entries WHERE project_id = ? AND stem = ?').run(projectId, stem).changes > 0;
+}
+
+// ============ Domain directory ============
+
+function domainEntryFromRow(row) {
+    return {
+        domain: row.domain,
+        category: row.category,
+        relation: row.relation,
+        bias: row.bias,
+        updatedAt: row.updated_at,
+        ...parseJson(row.extra, {})
+    };
+}
+
+// Entries of the global directory (projectId null) or the overrides of a project
+function listDomains(projectId = null) {
+    const rows = projectId
+        ? getDb().prepare('SELECT * FROM project_domains WHERE project_id = ? ORDER BY domain').all(projectId)
+        : getDb().prepare('SELECT * FROM domains ORDER BY domain').all();
+    return rows.map(domainEntryFromRow);
+}
+
+function getDomain(domain, projectId = null) {
+    const row = projectId
+        ? getDb().prepare('SELECT * FROM project_domains WHERE project_id = ? AND domain = ?').get(projectId, domain)
+        : getDb().prepare('SELECT * FROM domains WHERE domain = ?').get(domain);
+    return row ? domainEntryFromRow(row) : null;
+}
+
+function writeDomain(entry, projectId, updatedAt) {
+    const extra = pickExtra(entry, ['domain', 'category', 'relation', 'bias', 'updatedAt', 'project']);
+    if (projectId) {
+        getDb().prepare(`
+            INSERT INTO project_domains (project_id, domain, category, relation, bias, updated_at, extra) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(project_id, domain) DO UPDATE SET category = excluded.category, relation = excluded.relation,
+                bias = excluded.bias, updated_at = excluded.updated_at, extra = excluded.extra
+        `).run(projectId, entry.domain, entry.category, entry.relation, entry.bias || 0, updatedAt, extra);
+    } else {
+        getDb().prepare(`
+            INSERT INTO domains (domain, category, relation, bias, updated_at, extra) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(domain) DO UPDATE SET category = excluded.category, relation = excluded.relation,
+                bias = excluded.bias, updated_at = excluded.updated_at, extra = excluded.extra
+        `).run(entry.domain, entry.category, entry.relation, entry.bias || 0, updatedAt, extra);
+    }
+}
+
+// Save an entry { domain, category, relation, bias, note }, replaces the entry of the same domain
+function saveDomain(entry, projectId = null) {
+    const updatedAt = new Date().toISOString();
+    writeDomain(entry, projectId, updatedAt);
+    return { ...entry, updatedAt };
+}
+
+// Save imported entries in one transaction; overwrite: false keeps existing entries.
+// Returns { added, updated, skipped }
+function importDomains(entries, projectId = null, { overwrite = true } = {}) {
+    return withWriteLock(() => {
+        const updatedAt = new Date().toISOString();
+        const counts = { added: 0, updated: 0, skipped: 0 };
+
+        for (const entry of entries) {
+            const exists = !!getDomain(entry.domain, projectId);
+            if (exists && !overwrite) {
+                counts.skipped++;
+                continue;
+            }
+            writeDomain(entry, projectId, updatedAt);
+            counts[exists ? 'updated' : 'added']++;
+        }
+        return counts;
+    });
+}
+
+// Insert default global entries on first start only, so deleted defaults do not come back
+function seedDomains(entries) {
+    withWriteLock(() => {
+        if (getDb().prepare("SELECT value FROM meta WHERE key = 'domains_seeded'").get()) return;
+
+        const updatedAt = new Date().toISOString();
+        entries.forEach(entry => writeDomain(entry, null, updatedAt));
+        getDb().prepare("INSERT INTO meta (key, value) VALUES ('domains_seeded', ?)").run(updatedAt);
+    });
+}
+
+function deleteDomain(domain, projectId = null) {
+    const result = projectId
+        ? getDb().prepare('DELETE FROM project_domains WHERE project_id = ? AND domain = ?').run(projectId, domain)
+        : getDb().prepare('DELETE FROM domains WHERE domain = ?').run(domain);
+    return result.changes > 0;
+}
+
+// ============ Config ============
+
+// Config is stored as one row per top-level key
+function loadConfig() {
+    const rows = getDb().prepare('SELECT key, value FROM config').all();
+    if (rows.length === 0) {
+        return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    }
+    return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+}
+
+function saveConfig(config) {
+    withWriteLock(() => {
+        getDb().prepare('DELETE FROM config').run();
+        const insert = getDb().prepare('INSERT INTO config (key, value) VALUES (?, ?)');
+        for (const [key, value] of Object.entries(config)) {
+            if (value !== undefined) {
+                insert.run(key, JSON.stringify(value));
+            }
+        }
+    });
+}
+
+// Change config under the write lock; modify(config) changes it in place
+function updateConfig(modify) {
+    return withWriteLock(() => {
+        const config = loadConfig();
+        modify(config);
+        saveConfig(config);
+        return config;
+    });
+}
+
+module.exports = {
+    DB_FILE,
+    init,
+    close,
+    backupDatabase,
+    withWriteLock,
+    readJsonFile,
+    writeJsonFile,
+    listProjects,
+    getProject,
+    getAllProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    getEntity,
+    createEntity,
+    updateEntity,
+    deleteEntity,
+    saveParsing,
+    modifyParsingEngine,
+    getParsing,
+    deleteParsing,
+    queryResults,
+    listBulkSearches,
+    getBulkSearch,
+    getLatestBulkSearch,
+    addBulkSearch,
+    deleteBulkSearch,
+    saveParsingTask,
+    getParsingTask,
+    listParsingTasks,
+    saveParseJob,
+    listParseJobs,
+    deleteParseJob,
+    seedRegions,
+    listRegions,
+    getRegion,
+    saveRegion,
+    getRegionProjects,
+    deleteRegion,
+    recordSerpRequest,
+    getSerpSpend,
+    addSerpArchive,
+    getSerpArchive,
+    findCachedSerpArchive,
+    urlLabelKey,
+    listUrlLabels,
+    getUrlLabels,
+    saveUrlLabel,
+    deleteUrlLabel,
+    listLabeledResults,
+    listLexiconEntries,
+    saveLexiconEntry,
+    deleteLexiconEntry,
+    listDomains,
+    getDomain,
+    saveDomain,
+    importDomains,
+    seedDomains,
+    deleteDomain,
+    loadConfig,
+    saveConfig,
+    updateConfig
+};